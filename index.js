@@ -1,19 +1,21 @@
 import express from "express";
 import cors from "cors";
-import dotenv from "dotenv";
-import { createClient } from "@supabase/supabase-js";
-
-dotenv.config();
+import { supabase } from "./lib/supabase.js";
+import uploadRouter from "./routes/upload.js/upload-api.js";
+import tusUploadRouter from "./routes/upload.js/tus-upload-api.js";
+import convertRouter, { attachProgressSocket } from "./routes/convert.js/convert-api.js";
+import downloadRouter from "./routes/download.js/download-api.js";
+import previewRouter from "./routes/previews.js/preview-api.js";
+import formatsRouter from "./routes/formats.js/formats-api.js";
 
 const app = express();
-app.use(cors());
-app.use(express.json());
 
-// Supabase setup
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
+// ✅ Resumable uploads (tus 1.0) – mounted before the global CORS handler,
+// which would otherwise answer the protocol's OPTIONS requests itself
+app.use("/api/upload/tus", tusUploadRouter);
+
+app.use(cors());
+app.use(express.json({ limit: '2mb' })); // Room for watermark images sent as data URLs
 
 // ✅ Test route
 app.get("/", (req, res) => {
@@ -46,8 +48,20 @@ app.post("/login", async (req, res) => {
   res.json({ data });
 });
 
+// ✅ File conversion API
+app.use("/api/upload", uploadRouter);
+app.use("/api/convert", convertRouter);
+app.use("/api/download", downloadRouter);
+app.use("/api/previews", previewRouter);
+
+// ✅ Supported formats and conversion options
+app.use("/api/formats", formatsRouter);
+
 // Server run
 const PORT = process.env.PORT || 10000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 Backend running on port ${PORT}`);
 });
+
+// ✅ Live progress over WebSocket
+attachProgressSocket(server);
@@ -0,0 +1,339 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import { once } from 'events';
+import { pipeline } from 'stream/promises';
+import archiver from 'archiver';
+import { supabase } from './supabase.js';
+import { generateDownloadToken } from './download-tokens.js';
+import { publishProgressEvent } from './progress-events.js';
+import { isStreamManifest } from './converters.js/adaptive-stream.js';
+import { storage, storeFile } from './storage.js/file-storage.js';
+
+// Largest number of files accepted in one batch
+export const MAX_BATCH_SIZE = parseInt(process.env.BATCH_MAX_FILES || '100', 10);
+
+// Bundles are built next to the individual outputs, then stored under "converted/"
+const BUNDLE_DIR = path.join(process.cwd(), 'temp', 'converted');
+
+/**
+ * Progress events for a batch use their own channel next to the per-file ones
+ */
+export function getBatchChannelId(batchId) {
+  return `batch:${batchId}`;
+}
+
+/**
+ * Overall state of a batch, shaped like its live events
+ */
+export function summarizeBatch(batch) {
+  const finished = batch.completed_count + batch.failed_count;
+
+  return {
+    batchId: batch.id,
+    status: batch.status,
+    progress: Math.round((finished / batch.total) * 100),
+    completed: batch.completed_count,
+    failed: batch.failed_count,
+    total: batch.total,
+    bundleUrl: batch.bundle_token ? `/api/download/${batch.bundle_token}` : null,
+    error: batch.error_message || null
+  };
+}
+
+/**
+ * Create a batch row
+ * @param {Object} batch - Batch definition
+ * @param {string|null} batch.userId - Owner of the batch
+ * @param {string} batch.targetFormat - Target format for every item
+ * @param {Object} batch.options - Options as submitted
+ * @param {number} batch.total - Number of items, including rejected ones
+ * @param {Array} batch.rejected - Items that could not be queued ({ fileId, error })
+ * @returns {Promise<Object>} Inserted batch row
+ */
+export async function createBatch({ userId = null, targetFormat, options = {}, total, rejected = [] }) {
+  const { data, error } = await supabase
+    .from('conversion_batches')
+    .insert([{
+      user_id: userId,
+      target_format: targetFormat,
+      options,
+      status: 'processing',
+      total,
+      completed_count: 0,
+      failed_count: rejected.length,
+      rejected,
+      created_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create batch: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Get a batch with the state of each of its items
+ * @returns {Promise<Object|null>} { batch, items } or null when not found
+ */
+export async function getBatch(batchId) {
+  const { data: batch, error } = await supabase
+    .from('conversion_batches')
+    .select('*')
+    .eq('id', batchId)
+    .single();
+
+  if (error || !batch) return null;
+
+  const { data: jobs } = await supabase
+    .from('conversion_jobs')
+    .select(`
+      id,
+      file_id,
+      status,
+      attempts,
+      result,
+      error_message,
+      file_uploads (
+        original_name,
+        conversion_progress,
+        conversion_message
+      )
+    `)
+    .eq('batch_id', batchId)
+    .order('created_at', { ascending: true });
+
+  const items = (jobs || []).map((job) => ({
+    fileId: job.file_id,
+    jobId: job.id,
+    originalName: job.file_uploads?.original_name,
+    status: job.status,
+    progress: job.status === 'completed' ? 100 : (job.file_uploads?.conversion_progress || 0),
+    message: job.file_uploads?.conversion_message,
+    attempts: job.attempts,
+    error: job.status === 'failed' ? job.error_message : null,
+    downloadUrl: job.result?.downloadUrl || null
+  }));
+
+  for (const rejected of batch.rejected || []) {
+    items.push({
+      fileId: rejected.fileId,
+      jobId: null,
+      status: 'rejected',
+      progress: 0,
+      error: rejected.error,
+      downloadUrl: null
+    });
+  }
+
+  return { batch, items };
+}
+
+/**
+ * Record a finished batch item (completed, or failed for good)
+ * The worker whose item finishes the batch builds the ZIP bundle.
+ * @param {string} batchId - Batch the job belongs to
+ * @param {boolean} succeeded - Whether the item converted
+ */
+export async function recordBatchItem(batchId, succeeded) {
+  // Counters are bumped in one statement so concurrent workers never lose an update
+  const { data, error } = await supabase.rpc('finish_batch_item', {
+    p_batch_id: batchId,
+    p_succeeded: succeeded
+  });
+
+  if (error) {
+    throw new Error(`Failed to update batch: ${error.message}`);
+  }
+
+  const batch = Array.isArray(data) ? data[0] : data;
+  if (!batch) return;
+
+  await publishBatchCounts(batch);
+}
+
+/**
+ * Broadcast a batch's new counters; whoever raised the last one builds the ZIP bundle
+ * @param {Object} batch - conversion_batches row as returned by the update of its counters
+ */
+export async function publishBatchCounts(batch) {
+  await publishProgressEvent(getBatchChannelId(batch.id), 'progress', summarizeBatch(batch));
+
+  if (batch.completed_count + batch.failed_count === batch.total) {
+    await finishBatch(batch);
+  }
+}
+
+/**
+ * Bundle the outputs of a finished batch into one ZIP with its own download token
+ */
+async function finishBatch(batch) {
+  const status = batch.completed_count === 0
+    ? 'failed'
+    : (batch.failed_count > 0 ? 'partial' : 'completed');
+
+  let bundle = null;
+  let bundleError = null;
+
+  if (batch.completed_count > 0) {
+    try {
+      bundle = await buildBundle(batch);
+    } catch (error) {
+      console.error(`Bundle for batch ${batch.id} failed:`, error);
+      bundleError = error.message;
+    }
+  }
+
+  const { data: finished, error } = await supabase
+    .from('conversion_batches')
+    .update({
+      status,
+      bundle_token: bundle?.token || null,
+      bundle_size: bundle?.size || null,
+      error_message: bundleError || (status === 'failed' ? 'No file in the batch could be converted' : null),
+      completed_at: new Date().toISOString()
+    })
+    .eq('id', batch.id)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to finish batch: ${error.message}`);
+  }
+
+  await publishProgressEvent(
+    getBatchChannelId(batch.id),
+    status === 'failed' ? 'failed' : 'completed',
+    summarizeBatch(finished)
+  );
+}
+
+async function buildBundle(batch) {
+  const { data: jobs, error } = await supabase
+    .from('conversion_jobs')
+    .select(`
+      file_uploads (
+        original_name,
+        output_path,
+        output_format
+      )
+    `)
+    .eq('batch_id', batch.id)
+    .eq('status', 'completed')
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to load batch outputs: ${error.message}`);
+  }
+
+  await fs.mkdir(BUNDLE_DIR, { recursive: true });
+  const bundlePath = path.join(BUNDLE_DIR, `batch_${batch.id}.zip`);
+
+  // Converted media is already compressed; store entries as-is
+  const archive = archiver('zip', { store: true });
+  const done = pipeline(archive, createWriteStream(bundlePath));
+  const usedNames = new Set();
+  let added = 0;
+
+  try {
+    for (const { file_uploads: upload } of jobs) {
+      if (!upload?.output_path) continue;
+
+      if (!await storage.stat(upload.output_path)) continue;
+
+      // Streams served from a directory are bundled as a folder of playlists and segments
+      if (isStreamManifest(upload.output_path)) {
+        const folder = getUniqueEntryName(upload.original_name, upload.output_format === 'mpd' ? 'dash' : 'hls', usedNames);
+        const streamDir = path.posix.dirname(upload.output_path);
+
+        for (const { key } of await storage.list(streamDir)) {
+          await appendStoredFile(archive, key, `${folder}/${key.slice(streamDir.length + 1)}`);
+        }
+      } else {
+        await appendStoredFile(archive, upload.output_path, getUniqueEntryName(upload.original_name, upload.output_format, usedNames));
+      }
+      added++;
+    }
+
+    if (added === 0) {
+      throw new Error('No converted files are available to bundle');
+    }
+
+    await archive.finalize();
+    await done;
+
+  } catch (error) {
+    archive.abort();
+    await done.catch(() => {});
+    await fs.unlink(bundlePath).catch(() => {});
+    throw error;
+  }
+
+  const { size } = await fs.stat(bundlePath);
+  const bundleKey = await storeFile(`converted/${path.basename(bundlePath)}`, bundlePath);
+  const token = await generateDownloadToken(null, bundleKey, { batchId: batch.id });
+
+  return { token, size };
+}
+
+// Add a stored file to the archive and wait until it is written, so one read is open at a time
+async function appendStoredFile(archive, key, name) {
+  const written = once(archive, 'entry');
+  archive.append(await storage.read(key), { name });
+  await written;
+}
+
+// "photo.heic" -> "photo.jpg", then "photo (2).jpg" for the next photo.heic
+function getUniqueEntryName(originalName, outputFormat, usedNames) {
+  const baseName = (originalName || 'converted_file')
+    .replace(/\.[^/.]+$/, '')
+    .replace(/[\\/]/g, '_');
+
+  let name = `${baseName}.${outputFormat}`;
+  for (let n = 2; usedNames.has(name.toLowerCase()); n++) {
+    name = `${baseName} (${n}).${outputFormat}`;
+  }
+
+  usedNames.add(name.toLowerCase());
+  return name;
+}
+
+/*
+ * Required Database Objects (Supabase):
+ *
+ * CREATE TABLE conversion_batches (
+ *   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+ *   user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+ *   target_format TEXT NOT NULL,
+ *   options JSONB DEFAULT '{}',
+ *   status TEXT DEFAULT 'processing', -- processing | completed | partial | failed
+ *   total INTEGER NOT NULL,
+ *   completed_count INTEGER DEFAULT 0,
+ *   failed_count INTEGER DEFAULT 0,
+ *   rejected JSONB DEFAULT '[]', -- items refused at submission: [{ fileId, error }]
+ *   bundle_token TEXT,
+ *   bundle_size BIGINT,
+ *   error_message TEXT,
+ *   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+ *   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+ *   completed_at TIMESTAMP WITH TIME ZONE
+ * );
+ *
+ * ALTER TABLE conversion_jobs ADD COLUMN IF NOT EXISTS batch_id UUID REFERENCES conversion_batches(id) ON DELETE CASCADE;
+ * ALTER TABLE download_tokens ADD COLUMN IF NOT EXISTS batch_id UUID REFERENCES conversion_batches(id) ON DELETE CASCADE;
+ * CREATE INDEX idx_conversion_jobs_batch_id ON conversion_jobs(batch_id);
+ *
+ * -- Count a finished item; the row lock serializes concurrent workers
+ * CREATE OR REPLACE FUNCTION finish_batch_item(p_batch_id UUID, p_succeeded BOOLEAN)
+ * RETURNS SETOF conversion_batches AS $$
+ *   UPDATE conversion_batches
+ *   SET completed_count = completed_count + CASE WHEN p_succeeded THEN 1 ELSE 0 END,
+ *       failed_count = failed_count + CASE WHEN p_succeeded THEN 0 ELSE 1 END,
+ *       updated_at = NOW()
+ *   WHERE id = p_batch_id
+ *   RETURNING *;
+ * $$ LANGUAGE sql;
+ */
@@ -0,0 +1,191 @@
+import crypto from 'crypto';
+import { supabase } from './supabase.js';
+import { storage } from './storage.js/file-storage.js';
+
+// Cached outputs are stored under "cache/", outside the reach of the temp file cleanup
+const CACHE_PREFIX = 'cache';
+
+// Total size of cached outputs; least recently used entries are evicted past it (0 disables the cache)
+const MAX_CACHE_BYTES = parseInt(process.env.CONVERSION_CACHE_MAX_BYTES || String(10 * 1024 * 1024 * 1024), 10); // 10GB
+
+/**
+ * Whether conversion results are cached at all
+ */
+export function isCacheEnabled() {
+  return MAX_CACHE_BYTES > 0;
+}
+
+/**
+ * Build the cache key of a conversion
+ * Options are the per-step options with defaults applied, so a request that
+ * spells out a default matches one that leaves it out.
+ * @param {string} fileHash - sha256 of the input (file_uploads.file_hash)
+ * @param {string} inputFormat - Input format
+ * @param {string} targetFormat - Target format
+ * @param {Object[]} stepOptions - Normalized options of each conversion step
+ * @returns {string} Hex key
+ */
+export function getCacheKey(fileHash, inputFormat, targetFormat, stepOptions) {
+  return crypto
+    .createHash('sha256')
+    .update(stableStringify({ fileHash, inputFormat, targetFormat, stepOptions }))
+    .digest('hex');
+}
+
+/**
+ * Copy a cached output to a new output key and mark the entry as used
+ * @param {string} key - Cache key from getCacheKey
+ * @returns {Promise<Object|null>} { outputPath, outputFileName, outputFormat, conversionPath } or null on a miss;
+ *   outputPath is a storage key
+ */
+export async function takeCachedResult(key) {
+  const { data: entry, error } = await supabase
+    .from('conversion_cache')
+    .select('*')
+    .eq('cache_key', key)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to look up conversion cache: ${error.message}`);
+  }
+
+  if (!entry) return null;
+
+  if (!await storage.stat(entry.file_path)) {
+    // The cached file is gone; forget the entry and convert afresh
+    await supabase.from('conversion_cache').delete().eq('cache_key', key);
+    return null;
+  }
+
+  // Outputs handed out from the cache are stored where fresh conversions are
+  const outputFileName = `${Date.now()}_${Math.random().toString(36).substr(2, 9)}.${entry.output_format}`;
+  const outputPath = `converted/${outputFileName}`;
+  await storage.copy(entry.file_path, outputPath);
+
+  await supabase
+    .from('conversion_cache')
+    .update({
+      hits: entry.hits + 1,
+      last_used_at: new Date().toISOString()
+    })
+    .eq('cache_key', key);
+
+  return {
+    success: true,
+    outputPath,
+    outputFileName,
+    outputFormat: entry.output_format,
+    conversionPath: entry.conversion_path
+  };
+}
+
+/**
+ * Keep a conversion output for later requests with the same key, then evict
+ * least recently used entries until the cache fits its size cap
+ * Failures are logged and never fail the conversion itself.
+ * @param {string} key - Cache key from getCacheKey
+ * @param {Object} result - Result of convertFile
+ * @param {string} outputKey - Storage key the output was stored under
+ * @param {number} size - Output size in bytes
+ */
+export async function storeCachedResult(key, result, outputKey, size) {
+  if (size > MAX_CACHE_BYTES) return;
+
+  const cachePath = `${CACHE_PREFIX}/${key}.${result.outputFormat}`;
+
+  try {
+    try {
+      await storage.copy(outputKey, cachePath);
+    } catch (error) {
+      // Another worker cached the same conversion first
+      if (error.code === 'EEXIST') return;
+      throw error;
+    }
+
+    const now = new Date().toISOString();
+    const { error } = await supabase
+      .from('conversion_cache')
+      .upsert([{
+        cache_key: key,
+        file_path: cachePath,
+        output_format: result.outputFormat,
+        conversion_path: result.conversionPath,
+        size,
+        hits: 0,
+        last_used_at: now,
+        created_at: now
+      }], { onConflict: 'cache_key' });
+
+    if (error) {
+      await storage.remove([cachePath]).catch(() => {});
+      throw new Error(`Failed to record cache entry: ${error.message}`);
+    }
+
+    await evictLeastRecentlyUsed();
+
+  } catch (error) {
+    console.error(`Failed to cache conversion ${key}:`, error);
+  }
+}
+
+/**
+ * Delete entries, oldest use first, until the cache is within MAX_CACHE_BYTES
+ * @returns {Promise<number>} Number of entries evicted
+ */
+export async function evictLeastRecentlyUsed() {
+  const { data: entries, error } = await supabase
+    .from('conversion_cache')
+    .select('cache_key, file_path, size')
+    .order('last_used_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to load conversion cache: ${error.message}`);
+  }
+
+  let total = 0;
+  const evicted = [];
+
+  for (const entry of entries) {
+    total += entry.size;
+    if (total > MAX_CACHE_BYTES) evicted.push(entry);
+  }
+
+  if (evicted.length === 0) return 0;
+
+  await supabase
+    .from('conversion_cache')
+    .delete()
+    .in('cache_key', evicted.map((entry) => entry.cache_key));
+
+  await storage.remove(evicted.map((entry) => entry.file_path)).catch(console.error);
+
+  return evicted.length;
+}
+
+// JSON with object keys sorted, so option order does not change the key
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/*
+ * Required Database Objects (Supabase):
+ *
+ * CREATE TABLE conversion_cache (
+ *   cache_key TEXT PRIMARY KEY, -- sha256 of content hash, formats and normalized options
+ *   file_path TEXT NOT NULL, -- storage key
+ *   output_format TEXT NOT NULL,
+ *   conversion_path TEXT[],
+ *   size BIGINT NOT NULL,
+ *   hits INTEGER DEFAULT 0,
+ *   last_used_at TIMESTAMP WITH TIME ZONE NOT NULL,
+ *   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+ * );
+ *
+ * CREATE INDEX idx_conversion_cache_last_used ON conversion_cache(last_used_at);
+ */
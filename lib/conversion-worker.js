@@ -0,0 +1,367 @@
+import os from 'os';
+import path from 'path';
+import {
+  combineFiles,
+  convertFile,
+  getInputCategory,
+  resolveConversionOptions
+} from './converters.js/conversion-engine.js';
+import { isStreamManifest } from './converters.js/adaptive-stream.js';
+import { getStoredSize, storeOutput, withLocalFile, withLocalFiles } from './storage.js/file-storage.js';
+import { supabase } from './supabase.js';
+import { generateDownloadToken } from './download-tokens.js';
+import { createPreviews } from './previews.js';
+import { publishProgressEvent } from './progress-events.js';
+import { publishBatchCounts, recordBatchItem } from './conversion-batches.js';
+import { getCacheKey, isCacheEnabled, storeCachedResult, takeCachedResult } from './conversion-cache.js';
+import {
+  claimJob,
+  heartbeatJob,
+  completeJob,
+  failJob,
+  requeueStaleJobs
+} from './job-queue.js';
+
+const HEARTBEAT_INTERVAL = 15 * 1000;
+const STALE_CHECK_INTERVAL = 60 * 1000;
+
+// Progress is streamed live; the database copy only backs the polling endpoint
+const PROGRESS_WRITE_INTERVAL = 5 * 1000;
+
+/**
+ * Start claiming and processing conversion jobs in this process
+ * @param {Object} config - Worker configuration
+ * @param {number} config.concurrency - Max jobs processed at once by this process
+ * @param {number} config.pollInterval - Delay between polls of an empty queue (ms)
+ * @param {number} config.staleAfter - Heartbeat age after which a job is reclaimed (seconds)
+ * @returns {{ stop: Function }} Handle to stop the worker gracefully
+ */
+export function startWorker({ concurrency = 1, pollInterval = 2000, staleAfter = 120 } = {}) {
+  const workerId = `${os.hostname()}:${process.pid}`;
+  const running = new Set();
+  let stopping = false;
+  let polling = false;
+
+  // Claim jobs until the concurrency limit is reached or the queue is empty
+  async function poll() {
+    if (polling || stopping) return;
+    polling = true;
+
+    try {
+      while (!stopping && running.size < concurrency) {
+        const job = await claimJob(workerId);
+        if (!job) break;
+
+        const task = processJob(job, workerId)
+          .catch((error) => console.error(`Job ${job.id} crashed:`, error))
+          .finally(() => {
+            running.delete(task);
+            setImmediate(poll);
+          });
+
+        running.add(task);
+      }
+    } catch (error) {
+      console.error('Worker poll error:', error);
+    } finally {
+      polling = false;
+    }
+  }
+
+  const pollTimer = setInterval(poll, pollInterval);
+  const staleTimer = setInterval(async () => {
+    const { recovered, settledBatches } = await requeueStaleJobs(staleAfter);
+    if (recovered > 0) console.log(`Recovered ${recovered} stale job(s)`);
+
+    // Batches whose items ran out of attempts may have just finished
+    for (const batch of settledBatches) {
+      await publishBatchCounts(batch).catch((error) => console.error(`Failed to update batch ${batch.id}:`, error));
+    }
+  }, STALE_CHECK_INTERVAL);
+
+  poll();
+  console.log(`👷 Worker ${workerId} started (concurrency ${concurrency})`);
+
+  return {
+    // Stop claiming new jobs and wait for running ones to finish
+    async stop() {
+      stopping = true;
+      clearInterval(pollTimer);
+      clearInterval(staleTimer);
+      await Promise.allSettled([...running]);
+    }
+  };
+}
+
+/**
+ * Run a single conversion job and record the outcome
+ */
+async function processJob(job, workerId) {
+  const fileId = job.file_id;
+  const heartbeat = setInterval(() => heartbeatJob(job.id, workerId), HEARTBEAT_INTERVAL);
+
+  try {
+    // Fetch file metadata from database
+    const { data: fileMetadata, error: fetchError } = await supabase
+      .from('file_uploads')
+      .select('*')
+      .eq('id', fileId)
+      .single();
+
+    if (fetchError || !fileMetadata) {
+      throw new Error('Source file record not found');
+    }
+
+    // Update status to 'converting'
+    await supabase
+      .from('file_uploads')
+      .update({
+        status: 'converting',
+        conversion_started_at: new Date().toISOString()
+      })
+      .eq('id', fileId);
+
+    const options = job.options || {};
+    const reportProgress = createProgressReporter(fileId, job.id);
+
+    // The same file converted the same way before is served from the cache
+    const cacheKey = getJobCacheKey(job, fileMetadata);
+    const cachedResult = cacheKey ? await takeCachedResult(cacheKey) : null;
+
+    let result;
+    let outputKey;
+    let previews;
+
+    if (cachedResult) {
+      // Cached results are already stored
+      result = cachedResult;
+      outputKey = cachedResult.outputPath;
+      previews = await withLocalFile(outputKey, (outputPath) => createOutputPreviews(fileId, outputPath, result.outputFormat));
+    } else {
+      // Defaults come from the converter's option schema; inputs are fetched from storage when remote
+      result = job.input_file_ids?.length
+        ? await withLocalFiles(await getInputPaths(job.input_file_ids), (inputPaths) =>
+          combineFiles(inputPaths, job.target_format, options, reportProgress))
+        : await withLocalFile(fileMetadata.temp_path, (inputPath) =>
+          convertFile(inputPath, job.target_format, options, reportProgress));
+
+      // Previews of the result (none for ZIPs and streams), rendered before it leaves the working directory
+      previews = isStreamManifest(result.outputPath)
+        ? null
+        : await createOutputPreviews(fileId, result.outputPath, result.outputFormat);
+      outputKey = await storeOutput(result.outputPath);
+    }
+
+    // Get file size of converted file (a served stream counts its whole directory)
+    const isStream = isStreamManifest(outputKey);
+    const outputSize = await getStoredSize(outputKey);
+
+    // Stream directories are served in place and not cached
+    if (cacheKey && !cachedResult && !isStream) {
+      await storeCachedResult(cacheKey, result, outputKey, outputSize);
+    }
+
+    // Update database with successful conversion
+    await supabase
+      .from('file_uploads')
+      .update({
+        status: 'completed',
+        output_path: outputKey,
+        output_filename: result.outputFileName,
+        output_format: result.outputFormat,
+        output_size: outputSize,
+        output_previews: previews,
+        conversion_completed_at: new Date().toISOString(),
+        conversion_options: options
+      })
+      .eq('id', fileId);
+
+    // Generate secure download URL (expires in 24 hours)
+    const downloadToken = await generateDownloadToken(fileId, outputKey);
+
+    const jobResult = {
+      // Players resolve segment URLs relative to the manifest's own URL
+      downloadUrl: `/api/download/${downloadToken}${isStream ? `/${path.basename(result.outputPath)}` : ''}`,
+      fileInfo: {
+        originalName: fileMetadata.original_name,
+        originalSize: fileMetadata.size,
+        outputFormat: result.outputFormat,
+        conversionPath: result.conversionPath,
+        outputSize: outputSize,
+        outputSizeFormatted: formatFileSize(outputSize),
+        compressionRatio: ((fileMetadata.size - outputSize) / fileMetadata.size * 100).toFixed(1)
+      },
+      previews,
+      cached: Boolean(cachedResult)
+    };
+
+    await completeJob(job.id, jobResult);
+    await publishProgressEvent(fileId, 'completed', {
+      jobId: job.id,
+      status: 'completed',
+      progress: 100,
+      ...jobResult
+    });
+
+    if (job.batch_id) {
+      await updateBatch(job.batch_id, true);
+    }
+
+  } catch (conversionError) {
+    console.error(`Job ${job.id} failed:`, conversionError);
+
+    const willRetry = await failJob(job, conversionError.message);
+
+    // Update status to failed (or back to queued while retries remain)
+    await supabase
+      .from('file_uploads')
+      .update({
+        status: willRetry ? 'queued' : 'failed',
+        error_message: conversionError.message,
+        conversion_completed_at: willRetry ? null : new Date().toISOString()
+      })
+      .eq('id', fileId);
+
+    if (willRetry) {
+      await publishProgressEvent(fileId, 'progress', {
+        jobId: job.id,
+        status: 'queued',
+        progress: 0,
+        message: `Retrying after error: ${conversionError.message}`
+      });
+    } else {
+      await publishProgressEvent(fileId, 'failed', {
+        jobId: job.id,
+        status: 'failed',
+        error: conversionError.message
+      });
+
+      if (job.batch_id) {
+        await updateBatch(job.batch_id, false);
+      }
+    }
+
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+/**
+ * Render previews of a conversion output
+ */
+async function createOutputPreviews(fileId, outputPath, outputFormat) {
+  return createPreviews(fileId, outputPath, {
+    format: outputFormat,
+    category: getInputCategory(outputFormat),
+    role: 'output'
+  });
+}
+
+/**
+ * Count a finished batch item; a bundling problem must not fail the item itself
+ */
+async function updateBatch(batchId, succeeded) {
+  try {
+    await recordBatchItem(batchId, succeeded);
+  } catch (error) {
+    console.error(`Failed to update batch ${batchId}:`, error);
+  }
+}
+
+// Content hashes the cache trusts; older uploads carry md5, which can be made to collide
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Cache key of a single-file job, or null when its result is not cached
+ * (combine jobs, files without a sha256 content hash, or the cache turned off)
+ */
+function getJobCacheKey(job, fileMetadata) {
+  if (!isCacheEnabled() || job.input_file_ids?.length || !SHA256_PATTERN.test(fileMetadata.file_hash || '')) return null;
+
+  const inputFormat = path.posix.extname(fileMetadata.temp_path).slice(1).toLowerCase();
+
+  try {
+    const stepOptions = resolveConversionOptions(inputFormat, job.target_format, job.options || {});
+    return getCacheKey(fileMetadata.file_hash, inputFormat, job.target_format, stepOptions);
+  } catch {
+    // Invalid options fail in convertFile with the usual message
+    return null;
+  }
+}
+
+/**
+ * Resolve the inputs of a combine job to their storage keys, keeping their order
+ */
+async function getInputPaths(fileIds) {
+  const { data: files, error } = await supabase
+    .from('file_uploads')
+    .select('id, temp_path')
+    .in('id', fileIds);
+
+  if (error) {
+    throw new Error(`Failed to load input files: ${error.message}`);
+  }
+
+  const pathsById = new Map(files.map((file) => [file.id, file.temp_path]));
+
+  return fileIds.map((fileId, index) => {
+    if (!pathsById.get(fileId)) {
+      throw new Error(`Input file ${index + 1} is no longer available`);
+    }
+    return pathsById.get(fileId);
+  });
+}
+
+/**
+ * Build the progressCallback for a job: every tick is broadcast live,
+ * while the database row is only refreshed every few seconds
+ */
+function createProgressReporter(fileId, jobId) {
+  let lastTick = null;
+  let lastWrite = 0;
+
+  return (progress, message) => {
+    if (lastTick && lastTick.progress === progress && lastTick.message === message) return;
+    lastTick = { progress, message };
+
+    publishProgressEvent(fileId, 'progress', {
+      jobId,
+      status: 'converting',
+      progress,
+      message
+    });
+
+    const now = Date.now();
+    if (now - lastWrite >= PROGRESS_WRITE_INTERVAL || progress >= 100) {
+      lastWrite = now;
+      updateConversionProgress(fileId, progress, message);
+    }
+  };
+}
+
+// Update conversion progress in database
+async function updateConversionProgress(fileId, progress, message) {
+  try {
+    await supabase
+      .from('file_uploads')
+      .update({
+        conversion_progress: progress,
+        conversion_message: message,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', fileId);
+  } catch (error) {
+    console.error('Failed to update progress:', error);
+  }
+}
+
+// Format file size
+function formatFileSize(bytes) {
+  if (bytes === 0) return '0 Bytes';
+
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
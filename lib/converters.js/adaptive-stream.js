@@ -0,0 +1,155 @@
+import path from 'path';
+import { createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import archiver from 'archiver';
+
+// Entry file of each packaging; everything else is referenced from it by relative URL
+const MANIFESTS = {
+  hls: 'master.m3u8',
+  dash: 'manifest.mpd'
+};
+
+const MIN_RENDITION_HEIGHT = 144;
+const MAX_RENDITION_HEIGHT = 2160;
+const MAX_RENDITIONS = 6;
+
+/**
+ * Options for HLS and DASH packaging
+ */
+export const STREAM_OPTIONS = {
+  renditions: {
+    type: 'string',
+    pattern: '^\\d{3,4}p(:\\d+k)?(,\\d{3,4}p(:\\d+k)?)*$',
+    default: '720p,480p,360p',
+    description: 'Bitrate ladder as heights with optional video bitrates, e.g. "1080p:5000k,720p,480p"; renditions are never upscaled'
+  },
+  segmentDuration: { type: 'integer', min: 2, max: 20, default: 6, description: 'Target segment length in seconds' },
+  packaging: { type: 'string', enum: ['zip', 'directory'], default: 'zip', description: 'Download everything as a ZIP, or serve the playlist and segments for playback' }
+};
+
+/**
+ * Whether a path is the manifest of a packaged stream (served with its directory)
+ */
+export function isStreamManifest(filePath) {
+  return Object.values(MANIFESTS).includes(path.basename(filePath));
+}
+
+/**
+ * Parse a ladder such as "1080p:5000k,720p" into renditions, tallest first
+ * Bitrates default to roughly 5.4 kbps per line squared (2800k at 720p).
+ * @returns {Array<{ height: number, videoBitrate: number, audioBitrate: number }>} Bitrates in kbps
+ */
+export function parseRenditions(spec) {
+  const renditions = spec.split(',').map((entry) => {
+    const [size, bitrate] = entry.split(':');
+    const height = parseInt(size, 10);
+
+    if (height < MIN_RENDITION_HEIGHT || height > MAX_RENDITION_HEIGHT || height % 2 !== 0) {
+      throw new Error(`Rendition ${size} must be an even height from ${MIN_RENDITION_HEIGHT}p to ${MAX_RENDITION_HEIGHT}p`);
+    }
+
+    return {
+      height,
+      videoBitrate: bitrate ? parseInt(bitrate, 10) : Math.round((height * height * 0.0054) / 100) * 100,
+      audioBitrate: height >= 720 ? 128 : 96
+    };
+  });
+
+  if (renditions.length > MAX_RENDITIONS) {
+    throw new Error(`At most ${MAX_RENDITIONS} renditions are allowed`);
+  }
+  if (new Set(renditions.map((rendition) => rendition.height)).size !== renditions.length) {
+    throw new Error('Each rendition height may only be listed once');
+  }
+
+  return renditions.sort((a, b) => b.height - a.height);
+}
+
+/**
+ * FFmpeg arguments that encode every rendition in one pass and segment them
+ * Keyframes are forced on segment boundaries so all renditions switch cleanly.
+ * @param {string} format - 'hls' or 'dash'
+ * @param {string} inputPath - Source video
+ * @param {string} outputDir - Empty directory for playlists and segments
+ * @param {Object} options - Normalized STREAM_OPTIONS
+ * @param {boolean} hasAudio - Whether the source has an audio stream to carry over
+ * @returns {{ args: string[], manifestPath: string }}
+ */
+export function buildStreamArgs(format, inputPath, outputDir, options, hasAudio) {
+  const { renditions: spec, segmentDuration } = options;
+  const renditions = parseRenditions(spec);
+  const manifestPath = path.join(outputDir, MANIFESTS[format]);
+
+  const split = `[0:v:0]split=${renditions.length}${renditions.map((_, i) => `[s${i}]`).join('')}`;
+  const scales = renditions.map(({ height }, i) => `[s${i}]scale=-2:'trunc(min(${height},ih)/2)*2'[v${i}]`);
+
+  const args = ['-i', inputPath, '-filter_complex', [split, ...scales].join(';')];
+
+  renditions.forEach(({ videoBitrate }, i) => {
+    args.push(
+      '-map', `[v${i}]`,
+      `-b:v:${i}`, `${videoBitrate}k`,
+      `-maxrate:v:${i}`, `${Math.round(videoBitrate * 1.07)}k`,
+      `-bufsize:v:${i}`, `${Math.round(videoBitrate * 1.5)}k`
+    );
+  });
+
+  // HLS variants each carry their own audio; DASH shares one audio adaptation set
+  const audioStreams = !hasAudio ? [] : format === 'hls' ? renditions : renditions.slice(0, 1);
+  audioStreams.forEach(({ audioBitrate }, i) => {
+    args.push('-map', '0:a:0', `-b:a:${i}`, `${audioBitrate}k`);
+  });
+
+  args.push(
+    '-c:v', 'libx264',
+    '-preset', 'fast',
+    '-pix_fmt', 'yuv420p',
+    '-force_key_frames', `expr:gte(t,n_forced*${segmentDuration})`,
+    '-sc_threshold', '0'
+  );
+
+  if (hasAudio) {
+    args.push('-c:a', 'aac', '-ac', '2');
+  }
+
+  if (format === 'hls') {
+    const streamMap = renditions.map((_, i) => (hasAudio ? `v:${i},a:${i}` : `v:${i}`)).join(' ');
+
+    args.push(
+      '-f', 'hls',
+      '-hls_time', String(segmentDuration),
+      '-hls_playlist_type', 'vod',
+      '-hls_flags', 'independent_segments',
+      '-hls_segment_filename', path.join(outputDir, 'v%v_%04d.ts'),
+      '-master_pl_name', MANIFESTS.hls, // Written next to the variant playlists
+      '-var_stream_map', streamMap,
+      path.join(outputDir, 'v%v.m3u8')
+    );
+  } else {
+    args.push(
+      '-f', 'dash',
+      '-seg_duration', String(segmentDuration),
+      '-use_template', '1',
+      '-use_timeline', '1',
+      '-adaptation_sets', hasAudio ? 'id=0,streams=v id=1,streams=a' : 'id=0,streams=v',
+      '-init_seg_name', 'init-$RepresentationID$.m4s',
+      '-media_seg_name', 'chunk-$RepresentationID$-$Number%05d$.m4s',
+      manifestPath
+    );
+  }
+
+  return { args, manifestPath };
+}
+
+/**
+ * Pack a stream directory into a ZIP, with the manifest at the root
+ */
+export async function zipStream(outputDir, zipPath) {
+  const archive = archiver('zip', { store: true }); // Segments are already compressed
+  const done = pipeline(archive, createWriteStream(zipPath));
+
+  archive.directory(outputDir, false);
+
+  await archive.finalize();
+  await done;
+}
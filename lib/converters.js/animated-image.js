@@ -0,0 +1,359 @@
+import fs from 'fs/promises';
+import zlib from 'zlib';
+import sharp from 'sharp';
+
+// Formats that can carry more than one frame (png as APNG)
+export const ANIMATED_FORMATS = ['gif', 'webp', 'png'];
+
+// Decoded APNG frames are held in memory as RGBA
+const MAX_ANIMATION_PIXELS = 100 * 1000 * 1000; // 100 megapixels across all frames
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Chunks every APNG frame needs to decode the same way as the default image
+const SHARED_CHUNKS = new Set(['PLTE', 'tRNS', 'gAMA', 'cHRM', 'sRGB', 'iCCP', 'sBIT']);
+
+// fcTL dispose_op and blend_op values
+const DISPOSE_BACKGROUND = 1;
+const DISPOSE_PREVIOUS = 2;
+const BLEND_OVER = 1;
+
+/**
+ * Open an image with all of its frames
+ * GIF and WebP are read by sharp; APNG is decoded here since libvips only sees its first frame.
+ * @param {string} inputPath - Path to the image
+ * @returns {Promise<Object|null>} { input, inputOptions, pages, delay, loop } to pass to sharp,
+ *   or null when the image has a single frame
+ */
+export async function readAnimation(inputPath) {
+  const metadata = await sharp(inputPath).metadata();
+
+  if (metadata.format === 'png') {
+    const buffer = await fs.readFile(inputPath);
+    if (!isApng(buffer)) return null;
+
+    const animation = await decodeApng(buffer);
+    if (animation.frames.length < 2) return null;
+
+    return {
+      input: Buffer.concat(animation.frames),
+      inputOptions: {
+        raw: {
+          width: animation.width,
+          height: animation.height * animation.frames.length,
+          channels: 4,
+          pageHeight: animation.height
+        }
+      },
+      pages: animation.frames.length,
+      delay: animation.delay,
+      loop: animation.loop
+    };
+  }
+
+  if ((metadata.format !== 'gif' && metadata.format !== 'webp') || !(metadata.pages > 1)) {
+    return null;
+  }
+
+  return {
+    input: inputPath,
+    inputOptions: { animated: true },
+    pages: metadata.pages,
+    delay: metadata.delay,
+    loop: metadata.loop ?? 0
+  };
+}
+
+/**
+ * Open every frame of an animation as one sharp pipeline, each frame resized
+ * Decoded APNG frames are stacked raw pixels, which sharp would resize as one tall
+ * image, so they are resized one at a time.
+ * @param {Object} animation - Result of readAnimation
+ * @param {Function} resize - Applies the resize to a sharp pipeline, e.g. resizeImage
+ * @returns {Promise<sharp.Sharp>} Pipeline to pass to writeAnimation
+ */
+export async function resizeAnimation(animation, resize) {
+  const { input, inputOptions, pages } = animation;
+
+  if (!inputOptions.raw) {
+    return resize(sharp(input, inputOptions));
+  }
+
+  const { width, pageHeight, channels } = inputOptions.raw;
+  const frameSize = width * pageHeight * channels;
+  const frames = [];
+  let frameInfo;
+
+  for (let index = 0; index < pages; index++) {
+    const { data, info } = await resize(sharp(input.subarray(index * frameSize, (index + 1) * frameSize), {
+      raw: { width, height: pageHeight, channels }
+    })).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+
+    frames.push(data);
+    frameInfo = info;
+  }
+
+  return sharp(Buffer.concat(frames), {
+    raw: {
+      width: frameInfo.width,
+      height: frameInfo.height * pages,
+      channels: 4,
+      pageHeight: frameInfo.height
+    }
+  });
+}
+
+/**
+ * Save an animated image, keeping its frame delays and loop count
+ * @param {sharp.Sharp} image - Pipeline over every frame (from resizeAnimation)
+ * @param {string} format - gif, webp or png (written as APNG)
+ * @param {string} outputPath - Target path
+ * @param {Object} animation - Result of readAnimation
+ * @param {Object} options - Image options (quality applies to WebP)
+ */
+export async function writeAnimation(image, format, outputPath, animation, options = {}) {
+  const { quality = 90 } = options;
+  const { loop, delay } = animation;
+
+  switch (format) {
+    case 'gif':
+      await image.gif({ loop, delay }).toFile(outputPath);
+      break;
+    case 'webp':
+      await image.webp({ quality, loop, delay }).toFile(outputPath);
+      break;
+    case 'png':
+      await fs.writeFile(outputPath, await encodeApng(image, animation));
+      break;
+    default:
+      throw new Error(`${format} images cannot be animated`);
+  }
+}
+
+// An APNG declares its animation (acTL) before the first IDAT
+function isApng(buffer) {
+  for (const chunk of readChunks(buffer)) {
+    if (chunk.type === 'acTL') return true;
+    if (chunk.type === 'IDAT') return false;
+  }
+  return false;
+}
+
+function* readChunks(buffer) {
+  if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG file');
+  }
+
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+
+    if (data.length < length) {
+      throw new Error('PNG file is truncated');
+    }
+
+    yield { type, data };
+    if (type === 'IEND') return;
+
+    offset += 12 + length;
+  }
+}
+
+function writeChunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(data.length, 0);
+  header.write(type, 4, 'latin1');
+
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(zlib.crc32(data, zlib.crc32(header.subarray(4))), 0);
+
+  return Buffer.concat([header, data, crc]);
+}
+
+// Decode every APNG frame onto a full-size RGBA canvas, applying blend and dispose ops
+async function decodeApng(buffer) {
+  let ihdr = null;
+  let loop = 0;
+  const shared = [];
+  const frames = [];
+  let current = null;
+
+  for (const { type, data } of readChunks(buffer)) {
+    switch (type) {
+      case 'IHDR':
+        ihdr = data;
+        break;
+      case 'acTL':
+        loop = data.readUInt32BE(4);
+        break;
+      case 'fcTL':
+        current = {
+          width: data.readUInt32BE(4),
+          height: data.readUInt32BE(8),
+          x: data.readUInt32BE(12),
+          y: data.readUInt32BE(16),
+          delayNum: data.readUInt16BE(20),
+          delayDen: data.readUInt16BE(22),
+          dispose: data[24],
+          blend: data[25],
+          data: []
+        };
+        frames.push(current);
+        break;
+      case 'IDAT':
+        // The default image is only a frame when an fcTL precedes it
+        current?.data.push(data);
+        break;
+      case 'fdAT':
+        current?.data.push(data.subarray(4));
+        break;
+      default:
+        if (SHARED_CHUNKS.has(type) && frames.length === 0) shared.push(writeChunk(type, data));
+    }
+  }
+
+  if (!ihdr) {
+    throw new Error('PNG file has no header');
+  }
+
+  const width = ihdr.readUInt32BE(0);
+  const height = ihdr.readUInt32BE(4);
+
+  if (width * height * frames.length > MAX_ANIMATION_PIXELS) {
+    throw new Error(`Animation is too large (${frames.length} frames of ${width}x${height})`);
+  }
+
+  return {
+    width,
+    height,
+    loop,
+    delay: frames.map(({ delayNum, delayDen }) => Math.round((delayNum * 1000) / (delayDen || 100))),
+    frames: await composeFrames(frames, ihdr, shared, width, height)
+  };
+}
+
+async function composeFrames(frames, ihdr, shared, width, height) {
+  const canvas = Buffer.alloc(width * height * 4);
+  const composed = [];
+
+  for (const [index, frame] of frames.entries()) {
+    if (frame.x + frame.width > width || frame.y + frame.height > height) {
+      throw new Error(`APNG frame ${index + 1} lies outside the image`);
+    }
+
+    const pixels = await decodeFrame(frame, ihdr, shared);
+    const saved = frame.dispose === DISPOSE_PREVIOUS ? Buffer.from(canvas) : null;
+
+    for (let row = 0; row < frame.height; row++) {
+      for (let col = 0; col < frame.width; col++) {
+        const src = (row * frame.width + col) * 4;
+        const dst = ((frame.y + row) * width + frame.x + col) * 4;
+
+        if (frame.blend === BLEND_OVER) {
+          blendOver(canvas, dst, pixels, src);
+        } else {
+          pixels.copy(canvas, dst, src, src + 4);
+        }
+      }
+    }
+
+    composed.push(Buffer.from(canvas));
+
+    // A first frame disposed to "previous" is cleared instead (there is nothing before it)
+    if (frame.dispose === DISPOSE_BACKGROUND || (frame.dispose === DISPOSE_PREVIOUS && index === 0)) {
+      for (let row = 0; row < frame.height; row++) {
+        const start = ((frame.y + row) * width + frame.x) * 4;
+        canvas.fill(0, start, start + frame.width * 4);
+      }
+    } else if (saved) {
+      saved.copy(canvas);
+    }
+  }
+
+  return composed;
+}
+
+// Wrap one frame's image data in a standalone PNG and let sharp decode it
+async function decodeFrame(frame, ihdr, shared) {
+  const header = Buffer.from(ihdr);
+  header.writeUInt32BE(frame.width, 0);
+  header.writeUInt32BE(frame.height, 4);
+
+  const png = Buffer.concat([
+    PNG_SIGNATURE,
+    writeChunk('IHDR', header),
+    ...shared,
+    writeChunk('IDAT', Buffer.concat(frame.data)),
+    writeChunk('IEND', Buffer.alloc(0))
+  ]);
+
+  return sharp(png).ensureAlpha().toColourspace('srgb').raw().toBuffer();
+}
+
+// Source-over compositing of straight (non-premultiplied) RGBA pixels
+function blendOver(canvas, dst, pixels, src) {
+  const alpha = pixels[src + 3];
+  if (alpha === 0) return;
+  if (alpha === 255) {
+    pixels.copy(canvas, dst, src, src + 4);
+    return;
+  }
+
+  const below = canvas[dst + 3] * (255 - alpha) / 255;
+  const outAlpha = alpha + below;
+
+  for (let channel = 0; channel < 3; channel++) {
+    canvas[dst + channel] = Math.round((pixels[src + channel] * alpha + canvas[dst + channel] * below) / outAlpha);
+  }
+  canvas[dst + 3] = Math.round(outAlpha);
+}
+
+// Encode each frame as RGBA PNG and stitch their image data into one APNG
+async function encodeApng(image, { pages, delay, loop }) {
+  const { data, info } = await image.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const frameHeight = info.height / pages;
+  const frameSize = info.width * frameHeight * 4;
+
+  const chunks = [PNG_SIGNATURE];
+  let sequence = 0;
+
+  for (let index = 0; index < pages; index++) {
+    const png = await sharp(data.subarray(index * frameSize, (index + 1) * frameSize), {
+      raw: { width: info.width, height: frameHeight, channels: 4 }
+    }).png({ compressionLevel: 9, palette: false }).toBuffer();
+
+    const frameChunks = [...readChunks(png)];
+
+    if (index === 0) {
+      const acTL = Buffer.alloc(8);
+      acTL.writeUInt32BE(pages, 0);
+      acTL.writeUInt32BE(loop, 4);
+
+      chunks.push(writeChunk('IHDR', frameChunks.find((chunk) => chunk.type === 'IHDR').data));
+      chunks.push(writeChunk('acTL', acTL));
+    }
+
+    const fcTL = Buffer.alloc(26);
+    fcTL.writeUInt32BE(sequence++, 0);
+    fcTL.writeUInt32BE(info.width, 4);
+    fcTL.writeUInt32BE(frameHeight, 8);
+    fcTL.writeUInt16BE(Math.min(delay?.[index] ?? 100, 65535), 20);
+    fcTL.writeUInt16BE(1000, 22);
+    chunks.push(writeChunk('fcTL', fcTL));
+
+    const imageData = Buffer.concat(frameChunks.filter((chunk) => chunk.type === 'IDAT').map((chunk) => chunk.data));
+
+    if (index === 0) {
+      chunks.push(writeChunk('IDAT', imageData));
+    } else {
+      const sequenceNumber = Buffer.alloc(4);
+      sequenceNumber.writeUInt32BE(sequence++, 0);
+      chunks.push(writeChunk('fdAT', Buffer.concat([sequenceNumber, imageData])));
+    }
+  }
+
+  chunks.push(writeChunk('IEND', Buffer.alloc(0)));
+  return Buffer.concat(chunks);
+}
@@ -0,0 +1,636 @@
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { createReadStream, createWriteStream } from 'fs';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { spawn } from 'child_process';
+import archiver from 'archiver';
+import unzipper from 'unzipper';
+import tarStream from 'tar-stream';
+import sevenZip from '7zip-bin';
+import { createExtractorFromFile } from 'node-unrar-js';
+
+// Extraction limits (archive bombs, path traversal)
+export const MAX_ENTRIES = parseInt(process.env.ARCHIVE_MAX_ENTRIES) || 10000;
+export const MAX_UNCOMPRESSED_SIZE = parseInt(process.env.ARCHIVE_MAX_UNCOMPRESSED_SIZE) || 10 * 1024 * 1024 * 1024; // 10GB
+export const MAX_COMPRESSION_RATIO = parseInt(process.env.ARCHIVE_MAX_COMPRESSION_RATIO) || 100;
+
+// Small archives of repetitive text can compress far better than MAX_COMPRESSION_RATIO;
+// the ratio only counts once an archive expands past this size
+const RATIO_CHECK_MIN_SIZE = 100 * 1024 * 1024; // 100MB
+
+// Scratch space for extracted archives
+const WORK_DIR = path.join(process.cwd(), 'temp', 'work');
+
+/**
+ * Repack an archive into another archive format
+ * Extracts into a private staging directory, then packs that directory again,
+ * so folder structure and modification times carry over.
+ * @param {string} inputPath - zip, tar, gz (tar.gz or a single gzipped file), 7z or rar
+ * @param {string} outputPath - zip, tar or 7z
+ * @param {Object} options - Repack options
+ * @param {number} options.compressionLevel - 0 (store) to 9 (smallest), zip and 7z only
+ * @param {Function} progressCallback - Progress callback function
+ */
+export async function repackArchive(inputPath, outputPath, options = {}, progressCallback = null) {
+  const inputFormat = path.extname(inputPath).slice(1).toLowerCase();
+  const outputFormat = path.extname(outputPath).slice(1).toLowerCase();
+  const stagingDir = path.join(WORK_DIR, crypto.randomUUID());
+
+  await fs.mkdir(stagingDir, { recursive: true });
+
+  try {
+    if (progressCallback) progressCallback(20, 'Extracting archive...');
+
+    const entries = await extractArchive(inputPath, inputFormat, stagingDir, progressCallback);
+
+    if (entries.size === 0) {
+      throw new Error('Archive is empty');
+    }
+
+    await restoreTimestamps(stagingDir, entries);
+
+    if (progressCallback) progressCallback(60, `Packing ${entries.size} entries into ${outputFormat.toUpperCase()}...`);
+
+    await packArchive(stagingDir, outputPath, outputFormat, options, progressCallback);
+
+  } finally {
+    await fs.rm(stagingDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Check an uploaded archive for decompression bombs without extracting it
+ * Entry count and expanded size come from the archive's index: the ZIP central
+ * directory, 7z and RAR headers, or the gzip size trailer. Plain TAR files are
+ * not compressed; their entries are counted during extraction.
+ * @param {string} inputPath - Archive to check
+ * @param {string} format - zip, tar, gz, 7z or rar
+ * @returns {Promise<Object>} { entries, compressedSize, uncompressedSize } (entries is null when unknown)
+ * @throws {Error} When the archive is unreadable or exceeds MAX_ENTRIES, MAX_UNCOMPRESSED_SIZE or MAX_COMPRESSION_RATIO
+ */
+export async function inspectArchive(inputPath, format) {
+  const { size } = await fs.stat(inputPath);
+  const { entries, uncompressedSize } = await readArchiveIndex(inputPath, format, size);
+
+  if (entries !== null) checkEntryCount(entries);
+  checkTotalSize(uncompressedSize);
+
+  const ratio = uncompressedSize / Math.max(size, 1);
+  if (uncompressedSize > RATIO_CHECK_MIN_SIZE && ratio > MAX_COMPRESSION_RATIO) {
+    throw new Error(`Archive expands to ${Math.round(ratio)} times its size (limit ${MAX_COMPRESSION_RATIO}x)`);
+  }
+
+  return { entries, compressedSize: size, uncompressedSize };
+}
+
+async function readArchiveIndex(inputPath, format, size) {
+  switch (format) {
+    case 'zip': {
+      let directory;
+      try {
+        directory = await unzipper.Open.file(inputPath);
+      } catch {
+        throw new Error('File is not a valid ZIP archive');
+      }
+      return {
+        entries: directory.files.length,
+        uncompressedSize: directory.files.reduce((sum, file) => sum + file.uncompressedSize, 0)
+      };
+    }
+    case '7z': {
+      const blocks = await list7z(inputPath);
+      return {
+        entries: blocks.length,
+        uncompressedSize: blocks.reduce((sum, block) => sum + (parseInt(block.Size) || 0), 0)
+      };
+    }
+    case 'rar': {
+      let headers;
+      try {
+        const extractor = await createExtractorFromFile({ filepath: inputPath });
+        headers = [...extractor.getFileList().fileHeaders];
+      } catch (error) {
+        throw new Error(error.reason === 'ERAR_MISSING_PASSWORD'
+          ? 'Password-protected archives are not supported'
+          : 'File is not a valid RAR archive');
+      }
+      return {
+        entries: headers.length,
+        uncompressedSize: headers.reduce((sum, header) => sum + header.unpSize, 0)
+      };
+    }
+    case 'gz': {
+      // ISIZE, the last four bytes, is the expanded size modulo 4GB; larger files are caught while extracting
+      const handle = await fs.open(inputPath, 'r');
+      try {
+        const trailer = Buffer.alloc(4);
+        await handle.read(trailer, 0, 4, Math.max(size - 4, 0));
+        return { entries: null, uncompressedSize: trailer.readUInt32LE(0) };
+      } finally {
+        await handle.close();
+      }
+    }
+    case 'tar':
+      return { entries: null, uncompressedSize: size };
+    default:
+      throw new Error(`Unsupported archive format: ${format}`);
+  }
+}
+
+/**
+ * EXTRACTION
+ * Every extractor fills stagingDir and returns Map(relativePath -> { type, mtime })
+ */
+
+async function extractArchive(inputPath, format, stagingDir, progressCallback) {
+  switch (format) {
+    case 'zip':
+      return extractZip(inputPath, stagingDir, progressCallback);
+    case 'tar':
+      return extractTar([createReadStream(inputPath)], stagingDir, progressCallback);
+    case 'gz':
+      return extractGzip(inputPath, stagingDir, progressCallback);
+    case '7z':
+      return extract7z(inputPath, stagingDir, progressCallback);
+    case 'rar':
+      return extractRar(inputPath, stagingDir, progressCallback);
+    default:
+      throw new Error(`Unsupported archive format: ${format}`);
+  }
+}
+
+async function extractZip(inputPath, stagingDir, progressCallback) {
+  let directory;
+  try {
+    directory = await unzipper.Open.file(inputPath);
+  } catch {
+    throw new Error('File is not a valid ZIP archive');
+  }
+
+  // Reject on the central directory before writing anything
+  checkEntryCount(directory.files.length);
+  checkTotalSize(directory.files.reduce((sum, file) => sum + file.uncompressedSize, 0));
+
+  const limits = createLimits();
+  const entries = new Map();
+
+  for (const [index, file] of directory.files.entries()) {
+    // Unix mode lives in the high bits of the external attributes; skip symlinks
+    const mode = (file.externalFileAttributes >>> 16) & 0o170000;
+    if (mode === 0o120000) continue;
+
+    const entry = resolveEntryPath(stagingDir, file.path);
+    if (!entry) continue;
+
+    limits.addEntry();
+
+    if (file.type === 'Directory') {
+      await fs.mkdir(entry.target, { recursive: true });
+      entries.set(entry.relative, { type: 'directory', mtime: file.lastModifiedDateTime });
+    } else {
+      await writeEntry(file.stream(), entry.target, limits);
+      entries.set(entry.relative, { type: 'file', mtime: file.lastModifiedDateTime });
+    }
+
+    reportExtraction(progressCallback, index + 1, directory.files.length);
+  }
+
+  return entries;
+}
+
+async function extractTar(sources, stagingDir, progressCallback) {
+  const limits = createLimits();
+  const entries = new Map();
+  const extract = tarStream.extract();
+  const feeding = pipeline(...sources, extract);
+
+  try {
+    for await (const item of extract) {
+      const { header } = item;
+      const entry = resolveEntryPath(stagingDir, header.name);
+
+      // Only plain files and folders are repacked; links and devices are dropped
+      if (!entry || (header.type !== 'file' && header.type !== 'directory')) {
+        item.resume();
+        continue;
+      }
+
+      limits.addEntry();
+
+      if (header.type === 'directory') {
+        await fs.mkdir(entry.target, { recursive: true });
+        item.resume();
+      } else {
+        await writeEntry(item, entry.target, limits);
+      }
+
+      entries.set(entry.relative, { type: header.type, mtime: header.mtime });
+      reportExtraction(progressCallback, entries.size);
+    }
+  } catch (error) {
+    extract.destroy();
+    await feeding.catch(() => {});
+    throw describeStreamError(error, 'TAR');
+  }
+
+  await feeding;
+
+  return entries;
+}
+
+// A .gz is either a gzipped tarball or a single gzipped file
+async function extractGzip(inputPath, stagingDir, progressCallback) {
+  const head = await readHead(inputPath, 4096);
+
+  if (head[0] !== 0x1f || head[1] !== 0x8b) {
+    throw new Error('File is not a valid GZIP archive');
+  }
+
+  // Decompressed bytes are capped too, so a bomb of padding cannot run forever
+  const gunzip = () => [
+    createReadStream(inputPath),
+    zlib.createGunzip(),
+    byteLimit(MAX_UNCOMPRESSED_SIZE + MAX_ENTRIES * 1024)
+  ];
+
+  if (isTarHeader(head)) {
+    return extractTar(gunzip(), stagingDir, progressCallback);
+  }
+
+  const { name, mtime } = parseGzipHeader(head);
+  const entry = resolveEntryPath(stagingDir, name || path.basename(inputPath, '.gz'));
+  if (!entry) {
+    throw new Error('GZIP archive has no usable file name');
+  }
+
+  try {
+    await pipeline(...gunzip(), createWriteStream(entry.target));
+  } catch (error) {
+    throw describeStreamError(error, 'GZIP');
+  }
+
+  reportExtraction(progressCallback, 1, 1);
+
+  return new Map([[entry.relative, { type: 'file', mtime }]]);
+}
+
+async function extract7z(inputPath, stagingDir, progressCallback) {
+  const blocks = await list7z(inputPath);
+
+  checkEntryCount(blocks.length);
+  checkTotalSize(blocks.reduce((sum, block) => sum + (parseInt(block.Size) || 0), 0));
+
+  const entries = new Map();
+
+  for (const block of blocks) {
+    if (block.Encrypted === '+') {
+      throw new Error('Password-protected archives are not supported');
+    }
+
+    // 7-Zip would write later entries through a symlink, so refuse them outright
+    if (/^\S*\s+l/.test(block.Attributes || '')) {
+      throw new Error('Archives containing symbolic links are not supported');
+    }
+
+    const entry = resolveEntryPath(stagingDir, block.Path);
+    if (!entry) continue;
+
+    entries.set(entry.relative, { type: block.Folder === '+' ? 'directory' : 'file' });
+  }
+
+  if (progressCallback) progressCallback(30, `Extracting ${entries.size} entries...`);
+
+  // 7-Zip restores modification times itself
+  await run7za(['x', '-y', '-bd', `-o${stagingDir}`, inputPath]);
+  await checkExtractedSize(stagingDir);
+
+  return entries;
+}
+
+async function extractRar(inputPath, stagingDir, progressCallback) {
+  let extractor;
+  let headers;
+  try {
+    extractor = await createExtractorFromFile({ filepath: inputPath, targetPath: stagingDir });
+    headers = [...extractor.getFileList().fileHeaders];
+  } catch (error) {
+    throw new Error(error.reason === 'ERAR_MISSING_PASSWORD'
+      ? 'Password-protected archives are not supported'
+      : 'File is not a valid RAR archive');
+  }
+
+  checkEntryCount(headers.length);
+  checkTotalSize(headers.reduce((sum, header) => sum + header.unpSize, 0));
+
+  const entries = new Map();
+
+  for (const header of headers) {
+    if (header.flags.encrypted) {
+      throw new Error('Password-protected archives are not supported');
+    }
+
+    const entry = resolveEntryPath(stagingDir, header.name);
+    if (!entry) continue;
+
+    entries.set(entry.relative, {
+      type: header.flags.directory ? 'directory' : 'file',
+      mtime: new Date(header.time),
+      name: header.name
+    });
+  }
+
+  // Only extract entries that passed the path checks
+  const names = new Set([...entries.values()].map((entry) => entry.name));
+  const { files } = extractor.extract({ files: (header) => names.has(header.name) });
+
+  let extracted = 0;
+  for (const { fileHeader } of files) {
+    if (fileHeader.flags.directory) {
+      await fs.mkdir(resolveEntryPath(stagingDir, fileHeader.name).target, { recursive: true });
+    }
+    reportExtraction(progressCallback, ++extracted, entries.size);
+  }
+
+  await checkExtractedSize(stagingDir);
+
+  return entries;
+}
+
+/**
+ * PACKING
+ */
+
+async function packArchive(stagingDir, outputPath, format, options, progressCallback) {
+  const { compressionLevel } = options;
+  const level = Number.isInteger(Number(compressionLevel))
+    ? Math.min(Math.max(Number(compressionLevel), 0), 9)
+    : null;
+
+  if (format === '7z') {
+    const args = ['a', '-t7z', '-bd', '-y'];
+    if (level !== null) args.push(`-mx=${level}`);
+
+    // Run inside the staging directory so entries are stored relative to it
+    await run7za([...args, outputPath, '.'], { cwd: stagingDir });
+    return;
+  }
+
+  if (format !== 'zip' && format !== 'tar') {
+    throw new Error(`Unsupported archive format: ${format}`);
+  }
+
+  const archive = format === 'zip'
+    ? archiver('zip', { zlib: { level: level ?? 6 } })
+    : archiver('tar');
+
+  archive.on('progress', ({ entries }) => {
+    if (progressCallback && entries.total) {
+      const progress = 60 + Math.round((entries.processed / entries.total) * 35);
+      progressCallback(progress, `Packed ${entries.processed} of ${entries.total} entries...`);
+    }
+  });
+
+  // Entries take their dates from the restored file times
+  const done = pipeline(archive, createWriteStream(outputPath));
+  archive.directory(stagingDir, false);
+  await archive.finalize();
+  await done;
+}
+
+/**
+ * Helper Functions
+ */
+
+// Map an entry name onto the staging directory, refusing anything that escapes it
+function resolveEntryPath(stagingDir, name) {
+  const normalized = String(name).replace(/\\/g, '/');
+
+  if (normalized.includes('\0')
+    || normalized.startsWith('/')
+    || /^[a-zA-Z]:/.test(normalized)
+    || normalized.split('/').includes('..')) {
+    throw new Error(`Archive entry "${name}" points outside the archive`);
+  }
+
+  const relative = path.posix.normalize(normalized).replace(/^(\.\/)+/, '').replace(/\/+$/, '');
+  if (!relative || relative === '.') return null;
+
+  const target = path.join(stagingDir, relative);
+  if (!target.startsWith(stagingDir + path.sep)) {
+    throw new Error(`Archive entry "${name}" points outside the archive`);
+  }
+
+  return { relative, target };
+}
+
+// Count entries and actual bytes written; declared sizes can lie
+function createLimits() {
+  let entries = 0;
+  let bytes = 0;
+
+  return {
+    addEntry() {
+      checkEntryCount(++entries);
+    },
+    meter() {
+      return new Transform({
+        transform(chunk, encoding, callback) {
+          bytes += chunk.length;
+          try {
+            checkTotalSize(bytes);
+            callback(null, chunk);
+          } catch (error) {
+            callback(error);
+          }
+        }
+      });
+    }
+  };
+}
+
+function checkEntryCount(count) {
+  if (count > MAX_ENTRIES) {
+    throw new Error(`Archive has more than ${MAX_ENTRIES} entries`);
+  }
+}
+
+function checkTotalSize(bytes) {
+  if (bytes > MAX_UNCOMPRESSED_SIZE) {
+    throw new Error(`Archive expands to more than ${formatFileSize(MAX_UNCOMPRESSED_SIZE)}`);
+  }
+}
+
+// Fail a stream once more than maxBytes have passed through it
+function byteLimit(maxBytes) {
+  let bytes = 0;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      if (bytes > maxBytes) {
+        callback(new Error(`Archive expands to more than ${formatFileSize(MAX_UNCOMPRESSED_SIZE)}`));
+      } else {
+        callback(null, chunk);
+      }
+    }
+  });
+}
+
+async function writeEntry(stream, target, limits) {
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await pipeline(stream, limits.meter(), createWriteStream(target));
+}
+
+// Sum the extracted tree (for extractors that write to disk themselves)
+async function checkExtractedSize(stagingDir) {
+  let bytes = 0;
+  let count = 0;
+
+  for (const dirent of await fs.readdir(stagingDir, { recursive: true, withFileTypes: true })) {
+    const fullPath = path.join(dirent.parentPath, dirent.name);
+
+    if (dirent.isSymbolicLink()) {
+      await fs.unlink(fullPath);
+      continue;
+    }
+
+    checkEntryCount(++count);
+    if (dirent.isFile()) {
+      bytes += (await fs.stat(fullPath)).size;
+      checkTotalSize(bytes);
+    }
+  }
+}
+
+// Apply entry times deepest-first, since writing into a folder bumps its mtime
+async function restoreTimestamps(stagingDir, entries) {
+  const dated = [...entries.entries()]
+    .filter(([, entry]) => entry.mtime instanceof Date && !isNaN(entry.mtime))
+    .sort(([a], [b]) => b.split('/').length - a.split('/').length);
+
+  for (const [relative, { mtime }] of dated) {
+    await fs.utimes(path.join(stagingDir, relative), mtime, mtime).catch(() => {});
+  }
+}
+
+// Turn tar-stream and zlib failures into readable errors
+function describeStreamError(error, format) {
+  if (error.code?.startsWith('Z_')) {
+    return new Error('GZIP data is corrupt');
+  }
+  if (/invalid tar header|unexpected end of data/i.test(error.message)) {
+    return new Error(`File is not a valid ${format} archive`);
+  }
+  return error;
+}
+
+function reportExtraction(progressCallback, done, total) {
+  if (!progressCallback) return;
+
+  if (total) {
+    const progress = 20 + Math.round((done / total) * 40);
+    progressCallback(progress, `Extracted ${done} of ${total} entries...`);
+  } else if (done % 100 === 0) {
+    progressCallback(40, `Extracted ${done} entries...`);
+  }
+}
+
+async function readHead(filePath, length) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Peek into the start of the gzip stream for a ustar header
+function isTarHeader(head) {
+  try {
+    const start = zlib.gunzipSync(head, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    return start.length >= 512 && start.toString('latin1', 257, 262) === 'ustar';
+  } catch {
+    return false;
+  }
+}
+
+// Original file name (FNAME) and mtime from the gzip member header
+function parseGzipHeader(head) {
+  const flags = head[3];
+  const seconds = head.readUInt32LE(4);
+  let offset = 10;
+  let name = null;
+
+  if (flags & 0x04) offset += 2 + head.readUInt16LE(offset); // FEXTRA
+  if (flags & 0x08) {
+    const end = head.indexOf(0, offset);
+    if (end > offset) name = path.posix.basename(head.toString('latin1', offset, end).replace(/\\/g, '/'));
+  }
+
+  return { name, mtime: seconds ? new Date(seconds * 1000) : undefined };
+}
+
+// Technical listing of a 7z archive, one block of fields per entry
+async function list7z(inputPath) {
+  const listing = await run7za(['l', '-slt', '-bd', inputPath]).catch(() => {
+    throw new Error('File is not a valid 7Z archive');
+  });
+
+  // "Path = ..." blocks after the "----------" separator describe the entries
+  return listing.split(/^----------$/m).slice(1).join('')
+    .split(/\r?\n\r?\n/)
+    .map(parseListingBlock)
+    .filter((block) => block.Path);
+}
+
+function parseListingBlock(block) {
+  const fields = {};
+  for (const line of block.split(/\r?\n/)) {
+    const match = line.match(/^(\w[\w ]*?) = (.*)$/);
+    if (match) fields[match[1]] = match[2];
+  }
+  return fields;
+}
+
+// The published 7za binary is not always executable after install
+let sevenZipReady = null;
+
+async function run7za(args, { cwd } = {}) {
+  sevenZipReady ??= fs.chmod(sevenZip.path7za, 0o755).catch(() => {});
+  await sevenZipReady;
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(sevenZip.path7za, args, { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', (data) => { stdout += data.toString(); });
+    child.stderr.on('data', (data) => { stderr += data.toString(); });
+
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve(stdout);
+      } else {
+        const message = stderr.trim().split('\n').pop() || `7-Zip process failed with code ${code}`;
+        reject(new Error(message));
+      }
+    });
+
+    child.on('error', (error) => {
+      reject(error);
+    });
+  });
+}
+
+function formatFileSize(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
@@ -0,0 +1,175 @@
+// Output formats that can embed cover art
+const COVER_ART_FORMATS = ['mp3', 'flac', 'm4a'];
+
+// Encoders for each sample format (bit depth); FLAC stores 24-bit samples in 32-bit words
+const SAMPLE_FORMATS = {
+  wav: {
+    s16: ['-c:a', 'pcm_s16le'],
+    s24: ['-c:a', 'pcm_s24le'],
+    s32: ['-c:a', 'pcm_s32le'],
+    f32: ['-c:a', 'pcm_f32le']
+  },
+  flac: {
+    s16: ['-sample_fmt', 's16'],
+    s24: ['-sample_fmt', 's32', '-bits_per_raw_sample', '24']
+  }
+};
+
+// Tag options -> FFmpeg metadata keys (written as ID3, Vorbis comments, MP4 atoms or RIFF INFO)
+const TAG_KEYS = {
+  title: 'title',
+  artist: 'artist',
+  album: 'album',
+  year: 'date',
+  genre: 'genre',
+  track: 'track',
+  comment: 'comment'
+};
+
+// Loudness range target for normalization (EBU R128 default)
+const LOUDNESS_RANGE = 11;
+
+/**
+ * Processing and tagging options shared by audio conversion and audio extraction
+ */
+export const AUDIO_PROCESSING_OPTIONS = {
+  normalize: { type: 'boolean', once: true, default: false, description: 'Normalize loudness to the EBU R128 target (two passes)' },
+  loudness: { type: 'number', once: true, min: -70, max: -5, default: -16, description: 'Target integrated loudness in LUFS when normalizing (-23 for broadcast, -16 for streaming)' },
+  truePeak: { type: 'number', once: true, min: -9, max: 0, default: -1.5, description: 'Maximum true peak in dBTP when normalizing' },
+  fadeIn: { type: 'number', once: true, min: 0, max: 60, description: 'Fade-in length in seconds' },
+  fadeOut: { type: 'number', once: true, min: 0, max: 60, description: 'Fade-out length in seconds' },
+  channels: { type: 'string', enum: ['keep', 'mono', 'stereo'], default: 'keep', description: 'Downmix to mono or stereo' },
+  sampleFormat: { type: 'string', enum: ['s16', 's24', 's32', 'f32'], description: 'Bit depth for wav (16, 24, 32-bit or 32-bit float) and flac (16 or 24-bit)' },
+  bitrateMode: { type: 'string', enum: ['cbr', 'vbr'], default: 'cbr', description: 'Constant or variable bitrate (vbr is mp3 only and ignores the bitrate)' },
+  vbrQuality: { type: 'integer', min: 0, max: 9, default: 2, description: 'mp3 VBR quality, 0 (best) to 9 (smallest)' },
+  title: { type: 'string', maxLength: 200, description: 'Title tag' },
+  artist: { type: 'string', maxLength: 200, description: 'Artist tag' },
+  album: { type: 'string', maxLength: 200, description: 'Album tag' },
+  year: { type: 'integer', min: 1000, max: 9999, description: 'Year tag' },
+  genre: { type: 'string', maxLength: 100, description: 'Genre tag' },
+  track: { type: 'string', pattern: '^\\d{1,3}(/\\d{1,3})?$', description: 'Track number, e.g. 3 or 3/12' },
+  comment: { type: 'string', maxLength: 500, description: 'Comment tag' },
+  coverArt: { type: 'string', pattern: '^data:image/(png|jpeg);base64,[A-Za-z0-9+/=]+$', maxLength: 1000000, description: 'Cover art as a PNG or JPEG data URL (mp3, flac and m4a)' }
+};
+
+/**
+ * Check audio options against the output format and each other
+ * @param {Object} options - Normalized options
+ * @param {string} format - Output format
+ * @throws {Error} When an option does not apply to the format
+ */
+export function validateAudioOptions(options, format) {
+  const { startTime = 0, duration, endTime, sampleFormat, bitrateMode, coverArt } = options;
+
+  if (endTime !== undefined && duration !== undefined) {
+    throw new Error('Use either duration or endTime, not both');
+  }
+  if (endTime !== undefined && endTime <= startTime) {
+    throw new Error('endTime must be after startTime');
+  }
+  if (sampleFormat && !SAMPLE_FORMATS[format]?.[sampleFormat]) {
+    throw new Error(SAMPLE_FORMATS[format]
+      ? `Sample format ${sampleFormat} is not supported for ${format} (use ${Object.keys(SAMPLE_FORMATS[format]).join(', ')})`
+      : 'Sample format only applies to wav and flac output');
+  }
+  if (bitrateMode === 'vbr' && format !== 'mp3') {
+    throw new Error('Variable bitrate only applies to mp3 output');
+  }
+  if (coverArt && !COVER_ART_FORMATS.includes(format)) {
+    throw new Error(`Cover art can only be embedded in ${COVER_ART_FORMATS.join(', ')} files`);
+  }
+  if (format === 'aac' && Object.keys(TAG_KEYS).some((name) => options[name] !== undefined)) {
+    throw new Error('Raw aac files cannot hold tags; convert to m4a instead');
+  }
+}
+
+/**
+ * Whether an output format can carry cover art
+ */
+export function canEmbedCoverArt(format) {
+  return COVER_ART_FORMATS.includes(format);
+}
+
+/**
+ * Filters applied before loudness measurement (channel layout)
+ */
+export function buildChannelFilters({ channels = 'keep' }) {
+  return channels === 'keep' ? [] : [`aformat=channel_layouts=${channels}`];
+}
+
+/**
+ * Loudnorm filter: the measuring pass (measured = null) or the linear correction pass
+ */
+export function buildLoudnormFilter({ loudness = -16, truePeak = -1.5 }, measured = null) {
+  const target = `loudnorm=I=${loudness}:TP=${truePeak}:LRA=${LOUDNESS_RANGE}`;
+
+  if (!measured) return `${target}:print_format=json`;
+
+  return `${target}:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}`
+    + `:measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}`
+    + `:offset=${measured.target_offset}:linear=true`;
+}
+
+/**
+ * Fades, positioned within the trimmed clip
+ * @param {Object} options - Normalized options
+ * @param {number|null} clipLength - Length of the output in seconds (needed for fadeOut)
+ */
+export function buildFadeFilters({ fadeIn, fadeOut }, clipLength) {
+  const filters = [];
+
+  if (fadeIn) filters.push(`afade=t=in:st=0:d=${fadeIn}`);
+
+  if (fadeOut && clipLength) {
+    const length = Math.min(fadeOut, clipLength);
+    filters.push(`afade=t=out:st=${Math.max(0, clipLength - length).toFixed(3)}:d=${length}`);
+  }
+
+  return filters;
+}
+
+/**
+ * Codec, bitrate and sample format arguments for the output format
+ * @param {Object} options - Normalized options (bitrate is the CBR rate)
+ * @param {string} format - Output format
+ * @param {string} codec - Default encoder for the format
+ */
+export function buildAudioCodecArgs({ bitrate, bitrateMode = 'cbr', vbrQuality = 2, sampleFormat }, format, codec) {
+  if (sampleFormat) {
+    const args = SAMPLE_FORMATS[format][sampleFormat];
+    return args[0] === '-c:a' ? args : ['-c:a', codec, ...args];
+  }
+
+  if (format === 'mp3' && bitrateMode === 'vbr') {
+    return ['-c:a', codec, '-q:a', String(vbrQuality)];
+  }
+
+  return bitrate ? ['-c:a', codec, '-b:a', bitrate] : ['-c:a', codec];
+}
+
+/**
+ * Metadata arguments for the tag options
+ */
+export function buildTagArgs(options, format) {
+  const args = [];
+
+  for (const [name, key] of Object.entries(TAG_KEYS)) {
+    if (options[name] !== undefined) args.push('-metadata', `${key}=${options[name]}`);
+  }
+
+  // ID3v2.3 is the version most players and Windows read
+  if (format === 'mp3' && (args.length || options.coverArt)) {
+    args.push('-id3v2_version', '3');
+  }
+
+  return args;
+}
+
+/**
+ * Decode a cover art data URL
+ * @returns {{ data: Buffer, extension: string }}
+ */
+export function decodeCoverArt(dataUrl) {
+  const extension = dataUrl.startsWith('data:image/png') ? 'png' : 'jpg';
+  return { data: Buffer.from(dataUrl.slice(dataUrl.indexOf(',') + 1), 'base64'), extension };
+}
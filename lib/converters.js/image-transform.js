@@ -0,0 +1,185 @@
+import sharp from 'sharp';
+
+const COLOR_PATTERN = '^#?([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$';
+
+// Watermark placement -> horizontal and vertical alignment
+const WATERMARK_POSITIONS = {
+  'top-left': ['left', 'top'],
+  'top': ['center', 'top'],
+  'top-right': ['right', 'top'],
+  'left': ['left', 'middle'],
+  'center': ['center', 'middle'],
+  'right': ['right', 'middle'],
+  'bottom-left': ['left', 'bottom'],
+  'bottom': ['center', 'bottom'],
+  'bottom-right': ['right', 'bottom'],
+  'tile': null
+};
+
+/**
+ * Options for the still-image pipeline, applied in this order:
+ * auto-orient, crop, rotate, flip, resize, blur/sharpen, background, watermark
+ */
+export const IMAGE_TRANSFORM_OPTIONS = {
+  autoOrient: { type: 'boolean', default: true, description: 'Turn the image upright using its EXIF orientation' },
+  crop: { type: 'string', once: true, pattern: '^\\d+,\\d+,\\d+,\\d+$', description: 'Region to keep before resizing, as left,top,width,height in pixels' },
+  focus: { type: 'string', enum: ['center', 'attention', 'entropy'], default: 'center', description: 'What resize=cover keeps: the center, or the most interesting region (smart crop)' },
+  rotate: { type: 'integer', once: true, min: -360, max: 360, default: 0, description: 'Clockwise rotation in degrees; other angles fill the corners with background' },
+  flip: { type: 'string', once: true, enum: ['none', 'horizontal', 'vertical', 'both'], default: 'none', description: 'Mirror the image' },
+  blur: { type: 'number', once: true, min: 0.3, max: 100, description: 'Gaussian blur radius (sigma)' },
+  sharpen: { type: 'number', once: true, min: 0.5, max: 10, description: 'Sharpening radius (sigma)' },
+  background: { type: 'string', pattern: COLOR_PATTERN, default: '#ffffff', description: 'Color behind transparent areas in JPG output and rotated corners' },
+  watermarkText: { type: 'string', once: true, maxLength: 200, description: 'Text to stamp on the image' },
+  watermarkImage: { type: 'string', once: true, pattern: '^data:image/(png|jpeg|webp);base64,[A-Za-z0-9+/=]+$', maxLength: 1000000, description: 'Image to stamp on the image, as a PNG, JPEG or WebP data URL' },
+  watermarkPosition: { type: 'string', once: true, enum: Object.keys(WATERMARK_POSITIONS), default: 'bottom-right', description: 'Where the watermark goes; tile repeats it across the image' },
+  watermarkOpacity: { type: 'number', once: true, min: 0, max: 1, default: 0.5, description: 'Watermark opacity' },
+  watermarkSize: { type: 'number', once: true, min: 0.05, max: 1, default: 0.25, description: 'Watermark width as a fraction of the image width' },
+  watermarkColor: { type: 'string', once: true, pattern: COLOR_PATTERN, default: '#ffffff', description: 'Watermark text color' }
+};
+
+/**
+ * Whether any option beyond resizing is set (animations only support resizing)
+ */
+export function hasTransforms(options) {
+  const { crop, rotate, flip, blur, sharpen, watermarkText, watermarkImage } = options;
+  return Boolean(crop || rotate || (flip && flip !== 'none') || blur || sharpen || watermarkText || watermarkImage);
+}
+
+/**
+ * Apply the transform options to a sharp pipeline
+ * @param {sharp.Sharp} image - Pipeline over the input
+ * @param {Object} options - Normalized image options
+ * @param {string} format - Output format (jpg output is flattened onto the background)
+ * @returns {Promise<sharp.Sharp>} Pipeline ready for an output format
+ */
+export async function transformImage(image, options, format) {
+  const {
+    autoOrient = true,
+    crop,
+    rotate = 0,
+    flip = 'none',
+    blur,
+    sharpen,
+    watermarkText,
+    watermarkImage
+  } = options;
+  const background = toColor(options.background || '#ffffff');
+
+  if (autoOrient) {
+    image = image.autoOrient();
+  }
+
+  if (crop) {
+    const [left, top, width, height] = crop.split(',').map(Number);
+    const metadata = await image.metadata();
+    const { width: imageWidth, height: imageHeight } = autoOrient && metadata.autoOrient ? metadata.autoOrient : metadata;
+
+    if (width === 0 || height === 0 || left + width > imageWidth || top + height > imageHeight) {
+      throw new Error(`Crop ${crop} does not fit inside the ${imageWidth}x${imageHeight} image`);
+    }
+
+    image = image.extract({ left, top, width, height });
+  }
+
+  if (rotate % 360 !== 0) {
+    image = image.rotate(rotate, { background });
+  }
+
+  if (flip === 'vertical' || flip === 'both') image = image.flip();
+  if (flip === 'horizontal' || flip === 'both') image = image.flop();
+
+  image = resizeImage(image, options);
+
+  if (blur) image = image.blur(blur);
+  if (sharpen) image = image.sharpen({ sigma: sharpen });
+
+  // JPEG has no alpha channel; without this, transparent areas turn black
+  if (format === 'jpg' || format === 'jpeg') {
+    image = image.flatten({ background });
+  }
+
+  if (watermarkText || watermarkImage) {
+    image = await addWatermark(image, options);
+  }
+
+  return image;
+}
+
+/**
+ * Apply resizing if specified (for animations, width/height are per frame)
+ */
+export function resizeImage(image, options) {
+  const { width, height, resize = 'fit', focus = 'center' } = options;
+
+  if (!width && !height) return image;
+
+  return image.resize(width, height, {
+    fit: resize === 'cover' ? 'cover' : 'inside',
+    position: focus === 'center' ? 'centre' : focus,
+    withoutEnlargement: true
+  });
+}
+
+// The watermark is sized against the transformed image, so render that first
+async function addWatermark(image, options) {
+  const {
+    watermarkText,
+    watermarkImage,
+    watermarkPosition = 'bottom-right',
+    watermarkOpacity = 0.5,
+    watermarkSize = 0.25,
+    watermarkColor = '#ffffff'
+  } = options;
+
+  const { data, info } = await image.raw().toBuffer({ resolveWithObject: true });
+  const margin = Math.round(Math.min(info.width, info.height) * 0.02);
+
+  const source = watermarkImage
+    ? sharp(Buffer.from(watermarkImage.slice(watermarkImage.indexOf(',') + 1), 'base64'))
+    : sharp({ text: { text: `<span foreground="${toColor(watermarkColor)}">${escapeMarkup(watermarkText)}</span>`, rgba: true, dpi: 300 } });
+
+  const resized = await source
+    .resize({
+      width: Math.max(1, Math.round(info.width * watermarkSize)),
+      height: Math.max(1, info.height - margin * 2),
+      fit: 'inside'
+    })
+    .toColourspace('srgb')
+    .ensureAlpha()
+    .png()
+    .toBuffer();
+
+  // libvips cannot add the alpha band and scale it in one pass
+  const { data: mark, info: markInfo } = await sharp(resized)
+    .linear([1, 1, 1, watermarkOpacity], [0, 0, 0, 0])
+    .png()
+    .toBuffer({ resolveWithObject: true });
+
+  const overlay = { input: mark };
+  const alignment = WATERMARK_POSITIONS[watermarkPosition];
+
+  if (!alignment) {
+    overlay.tile = true;
+  } else {
+    const [horizontal, vertical] = alignment;
+    overlay.left = horizontal === 'left' ? margin
+      : horizontal === 'right' ? info.width - markInfo.width - margin
+        : Math.round((info.width - markInfo.width) / 2);
+    overlay.top = vertical === 'top' ? margin
+      : vertical === 'bottom' ? info.height - markInfo.height - margin
+        : Math.round((info.height - markInfo.height) / 2);
+  }
+
+  return sharp(data, { raw: info }).composite([overlay]);
+}
+
+function toColor(value) {
+  return value.startsWith('#') ? value : `#${value}`;
+}
+
+function escapeMarkup(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
@@ -0,0 +1,243 @@
+import fs from 'fs/promises';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import ffprobe from 'ffprobe-static';
+import sharp from 'sharp';
+import exifReader from 'exif-reader';
+import { PDFDocument } from 'pdf-lib';
+
+const execFileAsync = promisify(execFile);
+
+// A probe only reads headers; anything slower is treated as unreadable
+const PROBE_TIMEOUT = 30 * 1000;
+
+// pdf-lib parses a whole PDF in memory; larger PDFs only get their structure checked
+const PDF_PROBE_MAX_SIZE = parseInt(process.env.PDF_PROBE_MAX_SIZE || String(100 * 1024 * 1024), 10);
+
+// Readers look for %PDF- and %%EOF within this many bytes of the start and end
+const PDF_MARKER_WINDOW = 1024;
+
+/**
+ * Read technical metadata from an uploaded file
+ * Audio and video go through ffprobe, images through sharp, PDFs through pdf-lib
+ * (up to PDF_PROBE_MAX_SIZE; larger PDFs report no page details).
+ * Other formats (office documents, archives) are not probed.
+ * @param {string} filePath - Path of the stored upload
+ * @param {string} extension - File extension, lowercase
+ * @param {string} category - Input category (images, video, audio, documents, archives)
+ * @returns {Promise<Object|null>} Metadata to store on the file_uploads row
+ * @throws {Error} When the file cannot be read as the type its name claims
+ */
+export async function probeFile(filePath, extension, category) {
+  if (category === 'video' || category === 'audio') {
+    return probeMedia(filePath, category);
+  }
+  if (category === 'images') {
+    return probeImage(filePath);
+  }
+  if (extension === 'pdf') {
+    return probePdf(filePath);
+  }
+  return null;
+}
+
+async function probeMedia(filePath, category) {
+  let probe;
+
+  try {
+    const { stdout } = await execFileAsync(ffprobe.path, [
+      '-v', 'error',
+      '-print_format', 'json',
+      '-show_format',
+      '-show_streams',
+      filePath
+    ], { timeout: PROBE_TIMEOUT, maxBuffer: 10 * 1024 * 1024 });
+
+    probe = JSON.parse(stdout);
+  } catch (error) {
+    const reason = error.killed
+      ? 'timed out'
+      : (error.stderr || error.message).trim().split('\n').pop().replace(`${filePath}: `, '');
+    throw new Error(`File could not be read as ${category}: ${reason}`);
+  }
+
+  const streams = (probe.streams || []).map(describeStream);
+  const video = streams.find((stream) => stream.type === 'video' && !stream.attachedPicture);
+  const audio = streams.find((stream) => stream.type === 'audio');
+  const main = category === 'video' ? video : audio;
+
+  if (!main) {
+    throw new Error(`File has no ${category} stream`);
+  }
+  if (!main.codec) {
+    throw new Error(`File uses a ${category} codec that cannot be decoded`);
+  }
+
+  return {
+    type: category,
+    container: probe.format?.format_name || null,
+    duration: toNumber(probe.format?.duration),
+    bitrate: toNumber(probe.format?.bit_rate),
+    width: video?.width ?? null,
+    height: video?.height ?? null,
+    frameRate: video?.frameRate ?? null,
+    videoCodec: video?.codec ?? null,
+    audioCodec: audio?.codec ?? null,
+    sampleRate: audio?.sampleRate ?? null,
+    channels: audio?.channels ?? null,
+    streams
+  };
+}
+
+function describeStream(stream) {
+  const description = {
+    index: stream.index,
+    type: stream.codec_type,
+    codec: stream.codec_name || null,
+    bitrate: toNumber(stream.bit_rate),
+    language: stream.tags?.language || null
+  };
+
+  if (stream.codec_type === 'video') {
+    Object.assign(description, {
+      width: stream.width,
+      height: stream.height,
+      frameRate: parseRate(stream.avg_frame_rate) ?? parseRate(stream.r_frame_rate),
+      pixelFormat: stream.pix_fmt || null,
+      attachedPicture: stream.disposition?.attached_pic === 1 // Cover art in audio files
+    });
+  } else if (stream.codec_type === 'audio') {
+    Object.assign(description, {
+      sampleRate: toNumber(stream.sample_rate),
+      channels: stream.channels ?? null,
+      channelLayout: stream.channel_layout || null
+    });
+  }
+
+  return description;
+}
+
+async function probeImage(filePath) {
+  let metadata;
+
+  try {
+    metadata = await sharp(filePath).metadata();
+  } catch (error) {
+    throw new Error(`Image could not be read: ${error.message}`);
+  }
+
+  // Report the size the image is displayed at, after EXIF rotation
+  const { width, height } = metadata.autoOrient || metadata;
+
+  return {
+    type: 'image',
+    format: metadata.format,
+    width,
+    height,
+    colorSpace: metadata.space || null,
+    channels: metadata.channels,
+    bitDepth: metadata.depth || null,
+    hasAlpha: Boolean(metadata.hasAlpha),
+    hasIccProfile: Boolean(metadata.hasProfile),
+    density: metadata.density || null,
+    pages: metadata.pages || 1,
+    orientation: metadata.orientation || null,
+    exif: metadata.exif ? readExif(metadata.exif) : null
+  };
+}
+
+// The commonly shown EXIF fields; the full block holds binary values that do not fit JSON
+function readExif(buffer) {
+  let exif;
+
+  try {
+    exif = exifReader(buffer);
+  } catch {
+    return null;
+  }
+
+  const { Image: image = {}, Photo: photo = {}, GPSInfo: gps = {} } = exif;
+  const fields = {
+    make: image.Make,
+    model: image.Model,
+    software: image.Software,
+    lensModel: photo.LensModel,
+    takenAt: photo.DateTimeOriginal instanceof Date ? photo.DateTimeOriginal.toISOString() : undefined,
+    exposureTime: photo.ExposureTime,
+    fNumber: photo.FNumber,
+    iso: photo.ISOSpeedRatings,
+    focalLength: photo.FocalLength,
+    latitude: toDegrees(gps.GPSLatitude, gps.GPSLatitudeRef, 'S'),
+    longitude: toDegrees(gps.GPSLongitude, gps.GPSLongitudeRef, 'W')
+  };
+
+  const present = Object.entries(fields).filter(([, value]) => value !== undefined && value !== null);
+  return present.length ? Object.fromEntries(present) : null;
+}
+
+async function probePdf(filePath) {
+  const { size } = await fs.stat(filePath);
+
+  if (size > PDF_PROBE_MAX_SIZE) {
+    return probePdfMarkers(filePath, size);
+  }
+
+  let pdfDoc;
+
+  try {
+    pdfDoc = await PDFDocument.load(await fs.readFile(filePath), {
+      ignoreEncryption: true,
+      updateMetadata: false
+    });
+  } catch (error) {
+    throw new Error(`PDF could not be read: ${error.message}`);
+  }
+
+  const pageCount = pdfDoc.getPageCount();
+
+  if (pageCount === 0) {
+    throw new Error('PDF has no pages');
+  }
+
+  const { width, height } = pdfDoc.getPage(0).getSize();
+
+  return {
+    type: 'pdf',
+    pageCount,
+    encrypted: pdfDoc.isEncrypted,
+    pageWidth: Math.round(width), // First page, in points
+    pageHeight: Math.round(height),
+    title: pdfDoc.getTitle() || null
+  };
+}
+
+// Check the header and end-of-file marker of a PDF without parsing it
+async function probePdfMarkers(filePath, size) {
+  const handle = await fs.open(filePath, 'r');
+
+  try {
+    const head = Buffer.alloc(Math.min(PDF_MARKER_WINDOW, size));
+    const tail = Buffer.alloc(Math.min(PDF_MARKER_WINDOW, size));
+    await handle.read(head, 0, head.length, 0);
+    await handle.read(tail, 0, tail.length, size - tail.length);
+
+    if (!head.includes('%PDF-')) {
+      throw new Error('PDF could not be read: No PDF header found');
+    }
+    if (!tail.includes('%%EOF')) {
+      throw new Error('PDF could not be read: File is truncated (no end-of-file marker)');
+    }
+
+  } finally {
+    await handle.close();
+  }
+
+  return {
+    type: 'pdf',
+    pageCount: null,
+    encrypted: null,
+    pageWidth: null,
+    pageHeight: null,
+    title: null
+  };
+}
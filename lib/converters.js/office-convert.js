@@ -0,0 +1,126 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+import { pathToFileURL } from 'url';
+
+// LibreOffice binary and how long a single conversion may take
+const SOFFICE_PATH = process.env.LIBREOFFICE_PATH || 'soffice';
+const CONVERSION_TIMEOUT = parseInt(process.env.LIBREOFFICE_TIMEOUT) || 120 * 1000;
+
+// Scratch space for LibreOffice profiles and output
+const WORK_DIR = path.join(process.cwd(), 'temp', 'work');
+
+// --convert-to targets (extension:filter[:options])
+const EXPORT_FILTERS = {
+  pdf: 'pdf:writer_pdf_Export',
+  docx: 'docx:MS Word 2007 XML',
+  doc: 'doc:MS Word 97',
+  odt: 'odt:writer8',
+  rtf: 'rtf:Rich Text Format',
+  txt: 'txt:Text (encoded):UTF8'
+};
+
+// Input filters where LibreOffice would otherwise guess wrong
+const IMPORT_FILTERS = {
+  txt: 'Text (encoded):UTF8', // Don't guess the charset of plain text
+  pdf: 'writer_pdf_import' // Open PDFs in Writer rather than Draw, so they can be saved as documents
+};
+
+/**
+ * Convert a document with a headless LibreOffice process
+ * Each run gets its own profile directory, so conversions can run side by side
+ * without fighting over LibreOffice's single-instance lock.
+ * @param {string} inputPath - docx, doc, odt, rtf, txt or pdf
+ * @param {string} outputPath - Target path; its extension picks the export filter
+ */
+export async function convertWithLibreOffice(inputPath, outputPath) {
+  const inputFormat = path.extname(inputPath).slice(1).toLowerCase();
+  const outputFormat = path.extname(outputPath).slice(1).toLowerCase();
+  const filter = EXPORT_FILTERS[outputFormat];
+
+  if (!filter) {
+    throw new Error(`LibreOffice cannot export ${outputFormat} documents`);
+  }
+
+  const workDir = path.join(WORK_DIR, crypto.randomUUID());
+  const profileDir = path.join(workDir, 'profile');
+  const outDir = path.join(workDir, 'out');
+
+  await fs.mkdir(outDir, { recursive: true });
+
+  try {
+    const args = [
+      '--headless',
+      '--norestore',
+      '--nolockcheck',
+      '--nodefault',
+      `-env:UserInstallation=${pathToFileURL(profileDir).href}`
+    ];
+
+    if (IMPORT_FILTERS[inputFormat]) {
+      args.push(`--infilter=${IMPORT_FILTERS[inputFormat]}`);
+    }
+
+    args.push('--convert-to', filter, '--outdir', outDir, inputPath);
+
+    await runSoffice(args);
+
+    // LibreOffice names the result after the input file
+    const produced = path.join(outDir, `${path.basename(inputPath, path.extname(inputPath))}.${outputFormat}`);
+
+    try {
+      await fs.access(produced);
+    } catch {
+      throw new Error('LibreOffice could not convert this document');
+    }
+
+    await fs.rename(produced, outputPath);
+
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+// Run soffice in its own process group so a timeout also stops the soffice.bin child
+function runSoffice(args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(SOFFICE_PATH, args, {
+      detached: true,
+      stdio: ['ignore', 'ignore', 'pipe']
+    });
+    let stderr = '';
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch {}
+    }, CONVERSION_TIMEOUT);
+
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    child.on('close', (code) => {
+      clearTimeout(timer);
+
+      if (timedOut) {
+        reject(new Error(`Document conversion timed out after ${Math.round(CONVERSION_TIMEOUT / 1000)}s`));
+      } else if (code === 0) {
+        resolve();
+      } else {
+        const message = stderr.trim().split('\n').pop();
+        reject(new Error(message || `LibreOffice process failed with code ${code}`));
+      }
+    });
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error.code === 'ENOENT'
+        ? new Error('LibreOffice is not installed (set LIBREOFFICE_PATH to the soffice binary)')
+        : error);
+    });
+  });
+}
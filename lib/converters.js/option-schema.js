@@ -0,0 +1,100 @@
+/**
+ * Conversion option schemas
+ *
+ * A schema maps option names to descriptors:
+ *   { type: 'integer' | 'number' | 'string' | 'boolean', default, description,
+ *     min, max (numbers), pattern, maxLength (strings), enum (allowed values),
+ *     once (applied by a single step of a converter chain, e.g. a crop or a trim) }
+ * Schemas are plain data so they can be served to clients as-is.
+ */
+
+/**
+ * Check options against a schema
+ * Numeric and boolean strings are coerced (form posts send everything as text),
+ * defaults are filled in and unknown options are rejected.
+ * @param {Object} schema - Option descriptors by name
+ * @param {Object} options - Options from the client
+ * @returns {Object} Normalized options
+ * @throws {Error} Naming the first invalid option
+ */
+export function normalizeOptions(schema = {}, options = {}) {
+  if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('Options must be an object');
+  }
+
+  const unknown = Object.keys(options).filter((name) => !Object.hasOwn(schema, name));
+  if (unknown.length > 0) {
+    const accepted = Object.keys(schema);
+    throw new Error(`Unknown option${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')}`
+      + (accepted.length ? ` (accepted: ${accepted.join(', ')})` : ' (this conversion takes no options)'));
+  }
+
+  const normalized = {};
+
+  for (const [name, descriptor] of Object.entries(schema)) {
+    const value = options[name];
+
+    if (value === undefined || value === null || value === '') {
+      if (descriptor.default !== undefined) normalized[name] = descriptor.default;
+      continue;
+    }
+
+    normalized[name] = coerceOption(name, descriptor, value);
+  }
+
+  return normalized;
+}
+
+function coerceOption(name, descriptor, value) {
+  switch (descriptor.type) {
+    case 'integer':
+    case 'number': {
+      const number = typeof value === 'string' ? Number(value.trim()) : value;
+
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw new Error(`Option ${name} must be a number`);
+      }
+      if (descriptor.type === 'integer' && !Number.isInteger(number)) {
+        throw new Error(`Option ${name} must be a whole number`);
+      }
+      if (descriptor.min !== undefined && number < descriptor.min) {
+        throw new Error(`Option ${name} must be at least ${descriptor.min}`);
+      }
+      if (descriptor.max !== undefined && number > descriptor.max) {
+        throw new Error(`Option ${name} must be at most ${descriptor.max}`);
+      }
+      if (descriptor.enum && !descriptor.enum.includes(number)) {
+        throw new Error(`Option ${name} must be one of: ${descriptor.enum.join(', ')}`);
+      }
+      return number;
+    }
+
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === '1' || value === 1) return true;
+      if (value === 'false' || value === '0' || value === 0) return false;
+      throw new Error(`Option ${name} must be true or false`);
+
+    case 'string': {
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        throw new Error(`Option ${name} must be a string`);
+      }
+
+      const text = String(value).trim();
+
+      if (descriptor.maxLength !== undefined && text.length > descriptor.maxLength) {
+        throw new Error(`Option ${name} must be at most ${descriptor.maxLength} characters`);
+      }
+      if (descriptor.enum && !descriptor.enum.includes(text)) {
+        throw new Error(`Option ${name} must be one of: ${descriptor.enum.join(', ')}`);
+      }
+      if (descriptor.pattern && !new RegExp(descriptor.pattern).test(text)) {
+        throw new Error(`Option ${name} has an invalid format`);
+      }
+      return text;
+    }
+
+    default:
+      throw new Error(`Option ${name} has an unknown type in its schema`);
+  }
+}
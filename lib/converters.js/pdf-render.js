@@ -0,0 +1,121 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createRequire } from 'module';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+const require = createRequire(import.meta.url);
+
+// Fonts pdf.js substitutes for the standard 14 fonts when a PDF does not embed them
+const STANDARD_FONTS_DIR = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+// Rasterization limits
+export const DEFAULT_DPI = 150;
+export const MIN_DPI = 36;
+export const MAX_DPI = 600;
+const MAX_PAGE_PIXELS = 100 * 1000 * 1000; // 100 megapixels
+
+/**
+ * Parse a page range such as "1-3,5,8-" into sorted, unique page numbers
+ * @param {string|number|Array} spec - Range spec, page number, array of numbers, or 'all'
+ * @param {number} numPages - Pages in the document
+ * @param {Object} options - Parse options
+ * @param {boolean} options.keepOrder - Keep pages in the order listed ("3,1-2"), allowing
+ *   descending ranges ("5-1"); repeated pages still appear once
+ * @returns {number[]} 1-based page numbers
+ */
+export function parsePageRange(spec, numPages, { keepOrder = false } = {}) {
+  if (spec === undefined || spec === null || spec === '' || spec === 'all') {
+    return Array.from({ length: numPages }, (_, i) => i + 1);
+  }
+
+  const parts = Array.isArray(spec) ? spec.map(String) : String(spec).split(',');
+  const pages = new Set();
+
+  for (const part of parts) {
+    const match = part.trim().match(/^(\d*)\s*(-?)\s*(\d*)$/);
+    if (!match || (!match[1] && !match[3])) {
+      throw new Error(`Invalid page range: "${part.trim()}"`);
+    }
+
+    const start = match[1] ? parseInt(match[1], 10) : 1;
+    const end = match[2] ? (match[3] ? parseInt(match[3], 10) : numPages) : start;
+
+    const descending = keepOrder && start > end;
+
+    if (Math.min(start, end) < 1 || Math.max(start, end) > numPages || (start > end && !descending)) {
+      throw new Error(`Page range "${part.trim()}" is outside 1-${numPages}`);
+    }
+
+    const step = descending ? -1 : 1;
+    for (let page = start; page !== end + step; page += step) pages.add(page);
+  }
+
+  return keepOrder ? [...pages] : [...pages].sort((a, b) => a - b);
+}
+
+/**
+ * Render PDF pages to PNG buffers, one page at a time
+ * @param {string} inputPath - Path to PDF file
+ * @param {Object} options - Render options
+ * @param {number} options.dpi - Resolution (72 = 1 PDF point per pixel)
+ * @param {string|Array} options.pages - Page range to render (default all pages)
+ * @param {Function} onPage - async (pngBuffer, pageNumber, index, total) => void
+ * @returns {Promise<number[]>} Rendered page numbers
+ */
+export async function renderPdfPages(inputPath, { dpi = DEFAULT_DPI, pages } = {}, onPage) {
+  const resolution = Math.min(Math.max(Number(dpi) || DEFAULT_DPI, MIN_DPI), MAX_DPI);
+  const data = new Uint8Array(await fs.readFile(inputPath));
+
+  let pdf;
+  try {
+    pdf = await getDocument({
+      data,
+      verbosity: 0,
+      isEvalSupported: false,
+      standardFontDataUrl: STANDARD_FONTS_DIR
+    }).promise;
+  } catch (error) {
+    if (error.name === 'PasswordException') {
+      throw new Error('PDF is password protected');
+    }
+    if (error.name === 'InvalidPDFException') {
+      throw new Error('File is not a valid PDF');
+    }
+    throw error;
+  }
+
+  try {
+    const pageNumbers = parsePageRange(pages, pdf.numPages);
+
+    for (const [index, pageNumber] of pageNumbers.entries()) {
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: resolution / 72 });
+
+      if (viewport.width * viewport.height > MAX_PAGE_PIXELS) {
+        throw new Error(`Page ${pageNumber} is too large to render at ${resolution} DPI`);
+      }
+
+      const { canvas, context } = pdf.canvasFactory.create(
+        Math.ceil(viewport.width),
+        Math.ceil(viewport.height)
+      );
+
+      // PDF pages are transparent; paint paper white first
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+
+      await page.render({ canvas, canvasContext: context, viewport }).promise;
+
+      const png = canvas.toBuffer('image/png');
+      pdf.canvasFactory.destroy({ canvas, context });
+      page.cleanup();
+
+      await onPage(png, pageNumber, index, pageNumbers.length);
+    }
+
+    return pageNumbers;
+
+  } finally {
+    await pdf.destroy();
+  }
+}
@@ -0,0 +1,296 @@
+import fs from 'fs/promises';
+import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+/**
+ * Extract text from a PDF with reading-order reconstruction
+ * @param {string} inputPath - Path to PDF file
+ * @param {Object} options - Extraction options
+ * @param {boolean} options.layout - Keep columns and whitespace instead of reflowing text
+ * @param {string} options.pageSeparator - 'line', 'formfeed' or 'none'
+ * @param {Function} progressCallback - Progress callback function
+ * @returns {Promise<string>} Extracted text
+ */
+export async function extractPdfText(inputPath, options = {}, progressCallback = null) {
+  const { layout = false, pageSeparator = 'line' } = options;
+
+  const data = new Uint8Array(await fs.readFile(inputPath));
+  const pdf = await loadPdf(data);
+
+  try {
+    const pages = [];
+    let pagesWithText = 0;
+
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const items = await getPageItems(page);
+
+      if (items.length > 0) pagesWithText++;
+
+      pages.push(items.length > 0
+        ? (layout ? renderLayout(items) : renderReflow(items))
+        : `[Page ${pageNumber} has no text layer]`);
+
+      page.cleanup();
+
+      if (progressCallback) {
+        const progress = 20 + Math.round((pageNumber / pdf.numPages) * 70);
+        progressCallback(progress, `Extracting text from page ${pageNumber} of ${pdf.numPages}...`);
+      }
+    }
+
+    if (pagesWithText === 0) {
+      throw new Error('This PDF has no text layer (it is probably scanned images), so text cannot be extracted without OCR');
+    }
+
+    return joinPages(pages, pageSeparator) + '\n';
+
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+/**
+ * Open a PDF, turning pdf.js exceptions into readable errors
+ */
+async function loadPdf(data) {
+  try {
+    return await getDocument({
+      data,
+      verbosity: 0,
+      isEvalSupported: false,
+      disableFontFace: true
+    }).promise;
+  } catch (error) {
+    if (error.name === 'PasswordException') {
+      throw new Error('PDF is password protected');
+    }
+    if (error.name === 'InvalidPDFException') {
+      throw new Error('File is not a valid PDF');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get positioned text items of a page in top-down coordinates
+ */
+async function getPageItems(page) {
+  const viewport = page.getViewport({ scale: 1 });
+  const textContent = await page.getTextContent();
+
+  return textContent.items
+    .filter((item) => item.str && item.str.trim())
+    .map((item) => {
+      const [, , c, d, e, f] = item.transform;
+      const fontSize = Math.hypot(c, d) || item.height || 10;
+
+      return {
+        text: item.str,
+        x: e,
+        y: viewport.height - f, // Baseline, measured from the top
+        width: item.width,
+        fontSize,
+        top: viewport.height - f - fontSize,
+        right: e + item.width
+      };
+    });
+}
+
+/**
+ * REFLOW MODE
+ * Order blocks with a recursive XY-cut, then reflow each block into paragraphs
+ */
+function renderReflow(items) {
+  const fontSize = median(items.map((item) => item.fontSize));
+  const blocks = xyCut(items, fontSize);
+
+  return blocks
+    .map((block) => reflowBlock(groupLines(block)))
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+// Split boxes on whitespace valleys: columns left-to-right, bands top-to-bottom.
+// Cutting only at the widest valley each time keeps a title above two columns
+// from turning every shared line gap into a band.
+function xyCut(items, fontSize) {
+  if (items.length <= 1) return [items];
+
+  // Gutters between columns are wider than word spacing
+  const columns = splitAtWidestGap(items, (item) => item.x, (item) => item.right, fontSize * 1.5);
+  if (columns) {
+    return columns.flatMap((column) => xyCut(column, fontSize));
+  }
+
+  // Gaps between sections are taller than normal line spacing
+  const bands = splitAtWidestGap(items, (item) => item.top, (item) => item.y, fontSize * 0.9);
+  if (bands) {
+    return bands.flatMap((band) => xyCut(band, fontSize));
+  }
+
+  return [items];
+}
+
+// Split items in two at the widest empty interval of at least minGap, or return null
+function splitAtWidestGap(items, getStart, getEnd, minGap) {
+  const sorted = [...items].sort((a, b) => getStart(a) - getStart(b));
+  let widest = { gap: minGap, index: -1 };
+  let end = getEnd(sorted[0]);
+
+  for (let i = 1; i < sorted.length; i++) {
+    const gap = getStart(sorted[i]) - end;
+    if (gap >= widest.gap) {
+      widest = { gap, index: i };
+    }
+    end = Math.max(end, getEnd(sorted[i]));
+  }
+
+  if (widest.index === -1) return null;
+
+  return [sorted.slice(0, widest.index), sorted.slice(widest.index)];
+}
+
+// Join the lines of a block into paragraphs, undoing end-of-line hyphenation
+function reflowBlock(lines) {
+  const pitches = [];
+  for (let i = 1; i < lines.length; i++) {
+    pitches.push(lines[i].y - lines[i - 1].y);
+  }
+  const linePitch = median(pitches) || 0;
+
+  const paragraphs = [];
+  let paragraph = '';
+
+  lines.forEach((line, i) => {
+    const text = lineText(line.items);
+
+    // Extra vertical space starts a new paragraph
+    if (i > 0 && linePitch && line.y - lines[i - 1].y > linePitch * 1.4) {
+      paragraphs.push(paragraph);
+      paragraph = '';
+    }
+
+    if (!paragraph) {
+      paragraph = text;
+    } else if (/[a-z]-$/i.test(paragraph) && /^[a-z]/.test(text)) {
+      paragraph = paragraph.slice(0, -1) + text;
+    } else {
+      paragraph += ' ' + text;
+    }
+  });
+
+  paragraphs.push(paragraph);
+
+  return paragraphs
+    .map((p) => p.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * LAYOUT MODE
+ * Place text on a character grid so columns and indentation survive
+ */
+function renderLayout(items) {
+  const lines = groupLines(items);
+  const charWidth = median(items.map((item) => item.width / item.text.length).filter((w) => w > 0)) || 5;
+  const lineHeight = median(lines.slice(1).map((line, i) => line.y - lines[i].y)) || 12;
+  const left = Math.min(...items.map((item) => item.x));
+
+  const output = [];
+
+  lines.forEach((line, i) => {
+    // Keep vertical gaps as (at most two) blank lines
+    if (i > 0) {
+      const blankLines = Math.round((line.y - lines[i - 1].y) / lineHeight) - 1;
+      for (let n = 0; n < Math.min(Math.max(blankLines, 0), 2); n++) output.push('');
+    }
+
+    let text = '';
+    for (const item of line.items) {
+      const column = Math.round((item.x - left) / charWidth);
+
+      if (column > text.length) {
+        text = text.padEnd(column);
+      } else if (text && !text.endsWith(' ') && !item.text.startsWith(' ')) {
+        text += needsSpace(line.items, item, charWidth) ? ' ' : '';
+      }
+      text += item.text;
+    }
+
+    output.push(text.trimEnd());
+  });
+
+  return output.join('\n');
+}
+
+/**
+ * Helper Functions
+ */
+
+// Group items sharing a baseline into lines, sorted top-to-bottom and left-to-right
+function groupLines(items) {
+  const sorted = [...items].sort((a, b) => a.y - b.y || a.x - b.x);
+  const lines = [];
+
+  for (const item of sorted) {
+    const line = lines[lines.length - 1];
+
+    if (line && Math.abs(item.y - line.y) <= Math.min(item.fontSize, line.fontSize) * 0.5) {
+      line.items.push(item);
+    } else {
+      lines.push({ y: item.y, fontSize: item.fontSize, items: [item] });
+    }
+  }
+
+  for (const line of lines) {
+    line.items.sort((a, b) => a.x - b.x);
+  }
+
+  return lines;
+}
+
+// Concatenate the items of a line, adding spaces where the PDF only left a gap
+function lineText(items) {
+  let text = '';
+  let previous = null;
+
+  for (const item of items) {
+    if (previous && !text.endsWith(' ') && !item.text.startsWith(' ')
+      && item.x - previous.right > item.fontSize * 0.1) {
+      text += ' ';
+    }
+    text += item.text;
+    previous = item;
+  }
+
+  return text;
+}
+
+function needsSpace(lineItems, item, charWidth) {
+  const index = lineItems.indexOf(item);
+  const previous = lineItems[index - 1];
+  return previous && item.x - previous.right > charWidth * 0.3;
+}
+
+function joinPages(pages, pageSeparator) {
+  switch (pageSeparator) {
+    case 'none':
+      return pages.join('\n\n');
+    case 'formfeed':
+      return pages.join('\n\f');
+    default:
+      return pages
+        .map((text, i) => `--- Page ${i + 1} of ${pages.length} ---\n\n${text}`)
+        .join('\n\n');
+  }
+}
+
+function median(values) {
+  if (values.length === 0) return 0;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
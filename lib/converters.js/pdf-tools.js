@@ -0,0 +1,213 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import sharp from 'sharp';
+import archiver from 'archiver';
+import { PDFDocument, degrees } from 'pdf-lib';
+import { parsePageRange } from './pdf-render.js';
+
+// Page sizes in points (portrait)
+const PAGE_SIZES = {
+  a4: [595.28, 841.89],
+  letter: [612, 792]
+};
+
+/**
+ * Build one PDF from images and PDFs, in the order given
+ * Each image gets a page of its own; pages of PDF inputs are copied unchanged.
+ * @param {string[]} inputPaths - Images (jpg, png, gif, webp, tiff) and PDFs
+ * @param {string} outputPath - Target PDF path
+ * @param {Object} options - Page options for images
+ * @param {string} options.pageSize - 'original' (the image's own size), 'a4' or 'letter'
+ * @param {string} options.orientation - 'auto' (follows the image), 'portrait' or 'landscape'
+ * @param {number} options.margin - Space around each image in points (72 = 1 inch)
+ * @param {string} options.fit - 'contain', 'cover' (crop to fill) or 'fill' (stretch)
+ * @param {Function} progressCallback - Progress callback
+ */
+export async function combineToPdf(inputPaths, outputPath, options = {}, progressCallback) {
+  const pdfDoc = await PDFDocument.create();
+
+  for (const [index, inputPath] of inputPaths.entries()) {
+    if (path.extname(inputPath).toLowerCase() === '.pdf') {
+      const source = await loadPdf(inputPath, `Input ${index + 1}`);
+      const pages = await pdfDoc.copyPages(source, source.getPageIndices());
+      pages.forEach((page) => pdfDoc.addPage(page));
+    } else {
+      await addImagePage(pdfDoc, inputPath, options);
+    }
+
+    if (progressCallback) {
+      const progress = 20 + Math.round(((index + 1) / inputPaths.length) * 70);
+      progressCallback(progress, `Added file ${index + 1} of ${inputPaths.length}...`);
+    }
+  }
+
+  if (progressCallback) progressCallback(95, 'Saving PDF...');
+
+  await fs.writeFile(outputPath, await pdfDoc.save());
+}
+
+/**
+ * Rotate, delete, reorder or split the pages of a PDF
+ * Page numbers in every option refer to the original document.
+ * @param {string} inputPath - Source PDF
+ * @param {string} outputPath - Target PDF path
+ * @param {Object} options - Page operations
+ * @param {string} options.pages - Pages to keep, in output order ("3,1-2", "5-1")
+ * @param {string} options.deletePages - Pages to remove
+ * @param {number} options.rotate - Clockwise rotation (90, 180, 270) added to rotatePages
+ * @param {string} options.rotatePages - Pages to rotate (default all)
+ * @param {string} options.split - "each" for one PDF per page, or ranges separated by ";"
+ * @param {Function} progressCallback - Progress callback
+ * @returns {Promise<Object|undefined>} { outputPath } of a ZIP when split into several PDFs
+ */
+export async function editPdfPages(inputPath, outputPath, options = {}, progressCallback) {
+  const { pages = 'all', deletePages, rotate = 0, rotatePages = 'all', split } = options;
+
+  if (progressCallback) progressCallback(20, 'Reading PDF...');
+
+  const source = await loadPdf(inputPath, 'PDF');
+  const numPages = source.getPageCount();
+
+  if (split && pages !== 'all') {
+    throw new Error('Use either pages or split, not both');
+  }
+
+  const deleted = new Set(deletePages ? parsePageRange(deletePages, numPages) : []);
+  const rotated = new Set(rotate ? parsePageRange(rotatePages, numPages) : []);
+  const keep = (list) => list.filter((page) => !deleted.has(page));
+
+  let groups;
+  if (!split) {
+    groups = [keep(parsePageRange(pages, numPages, { keepOrder: true }))];
+  } else if (split === 'each') {
+    groups = keep(parsePageRange('all', numPages)).map((page) => [page]);
+  } else {
+    groups = split.split(';').map((range) => keep(parsePageRange(range, numPages, { keepOrder: true })));
+  }
+
+  if (groups.length === 0 || groups.some((group) => group.length === 0)) {
+    throw new Error(groups.length > 1 ? 'A split range has no pages left after deleting' : 'No pages left after deleting');
+  }
+
+  const documents = [];
+
+  for (const [index, group] of groups.entries()) {
+    const pdfDoc = await PDFDocument.create();
+    const copied = await pdfDoc.copyPages(source, group.map((page) => page - 1));
+
+    copied.forEach((page, i) => {
+      if (rotated.has(group[i])) {
+        page.setRotation(degrees((page.getRotation().angle + rotate) % 360));
+      }
+      pdfDoc.addPage(page);
+    });
+
+    documents.push(await pdfDoc.save());
+
+    if (progressCallback) {
+      const progress = 30 + Math.round(((index + 1) / groups.length) * 60);
+      progressCallback(progress, groups.length > 1
+        ? `Created part ${index + 1} of ${groups.length}...`
+        : `Arranged ${group.length} pages...`);
+    }
+  }
+
+  if (documents.length === 1) {
+    await fs.writeFile(outputPath, documents[0]);
+    return;
+  }
+
+  if (progressCallback) progressCallback(95, `Packing ${documents.length} PDFs into ZIP...`);
+
+  const zipPath = outputPath.replace(/\.[^.]+$/, '.zip');
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const archiveDone = pipeline(archive, createWriteStream(zipPath));
+  const digits = String(documents.length).length + 1;
+
+  documents.forEach((bytes, index) => {
+    const group = groups[index];
+    const range = group.length > 1 ? `${group[0]}-${group.at(-1)}` : `${group[0]}`;
+    archive.append(Buffer.from(bytes), { name: `part-${String(index + 1).padStart(digits, '0')}_pages-${range}.pdf` });
+  });
+
+  await archive.finalize();
+  await archiveDone;
+
+  return { outputPath: zipPath };
+}
+
+async function loadPdf(inputPath, label) {
+  try {
+    return await PDFDocument.load(await fs.readFile(inputPath));
+  } catch (error) {
+    throw new Error(/encrypt/i.test(error.message)
+      ? `${label} is password protected`
+      : `${label} is not a readable PDF: ${error.message}`);
+  }
+}
+
+// Add an image on its own page, sized and placed by the page options
+async function addImagePage(pdfDoc, inputPath, { pageSize = 'original', orientation = 'auto', margin = 0, fit = 'contain' }) {
+  const metadata = await sharp(inputPath).metadata();
+
+  // The image's own size, from its resolution when it records one
+  const scale = 72 / (metadata.density || 72);
+  const imageWidth = metadata.width * scale;
+  const imageHeight = metadata.height * scale;
+
+  let pageWidth;
+  let pageHeight;
+
+  if (pageSize === 'original') {
+    pageWidth = imageWidth + margin * 2;
+    pageHeight = imageHeight + margin * 2;
+  } else {
+    const landscape = orientation === 'landscape' || (orientation === 'auto' && imageWidth > imageHeight);
+    [pageWidth, pageHeight] = landscape ? [...PAGE_SIZES[pageSize]].reverse() : PAGE_SIZES[pageSize];
+  }
+
+  const boxWidth = pageWidth - margin * 2;
+  const boxHeight = pageHeight - margin * 2;
+
+  if (boxWidth <= 0 || boxHeight <= 0) {
+    throw new Error('Margin leaves no room for the image');
+  }
+
+  let input = inputPath;
+  let drawWidth = boxWidth;
+  let drawHeight = boxHeight;
+
+  if (pageSize !== 'original' && fit === 'contain') {
+    const ratio = Math.min(boxWidth / imageWidth, boxHeight / imageHeight);
+    drawWidth = imageWidth * ratio;
+    drawHeight = imageHeight * ratio;
+  } else if (pageSize !== 'original' && fit === 'cover') {
+    // Crop the image to the box's shape at its own resolution
+    const crop = Math.min(metadata.width / boxWidth, metadata.height / boxHeight);
+    input = await sharp(inputPath)
+      .resize(Math.round(boxWidth * crop), Math.round(boxHeight * crop), { fit: 'cover' })
+      .toBuffer();
+  }
+
+  const image = await embedImage(pdfDoc, input, metadata.format);
+  const page = pdfDoc.addPage([pageWidth, pageHeight]);
+
+  page.drawImage(image, {
+    x: (pageWidth - drawWidth) / 2,
+    y: (pageHeight - drawHeight) / 2,
+    width: drawWidth,
+    height: drawHeight
+  });
+}
+
+// pdf-lib only embeds JPEG and PNG; re-encode the rest losslessly
+async function embedImage(pdfDoc, input, format) {
+  const bytes = typeof input === 'string' ? await fs.readFile(input) : input;
+
+  if (format === 'jpeg') return pdfDoc.embedJpg(bytes);
+  if (format === 'png') return pdfDoc.embedPng(bytes);
+
+  return pdfDoc.embedPng(await sharp(bytes).png().toBuffer());
+}
@@ -0,0 +1,155 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import ffmpeg from 'ffmpeg-static';
+import sharp from 'sharp';
+import { renderPdfPages } from './pdf-render.js';
+import { sanitizeSvg } from './svg-tools.js';
+import { probeFile } from './media-probe.js';
+
+const execFileAsync = promisify(execFile);
+
+// Preview sizes in pixels
+const THUMBNAIL_SIZE = 320;
+const PREVIEW_WIDTH = 640;
+const SPRITE_COLUMNS = 5;
+const SPRITE_ROWS = 5;
+const SPRITE_TILE_WIDTH = 160;
+const WAVEFORM_WIDTH = 800;
+const WAVEFORM_HEIGHT = 160;
+const WAVEFORM_COLOR = '#3b82f6';
+
+// Previews are a convenience; a file that takes longer than this gets none
+const FFMPEG_TIMEOUT = 60 * 1000;
+
+/**
+ * Render the previews that suit a file's type into a directory
+ *   images: thumbnail; video: poster and sprite sheet; audio: waveform; PDF: first page
+ * @param {string} inputPath - File to preview
+ * @param {string} format - File extension, lowercase
+ * @param {string} category - Format category (images, video, audio, documents, archives)
+ * @param {string} outputDir - Directory for the preview files
+ * @param {Object|null} mediaInfo - Probe results for the video duration (probed here when null)
+ * @returns {Promise<Array<Object>>} [{ kind, path, width, height, ... }]
+ */
+export async function renderPreviews(inputPath, format, category, outputDir, mediaInfo = null) {
+  if (category !== 'images' && category !== 'video' && category !== 'audio' && format !== 'pdf') {
+    return [];
+  }
+
+  await fs.mkdir(outputDir, { recursive: true });
+
+  switch (category) {
+    case 'images':
+      return [await renderThumbnail(inputPath, format, path.join(outputDir, 'thumbnail.webp'))];
+    case 'video': {
+      // Conversion outputs have not been probed yet
+      const { duration } = mediaInfo || await probeFile(inputPath, format, category);
+      return [
+        await renderPoster(inputPath, duration, path.join(outputDir, 'poster.jpg')),
+        await renderSprite(inputPath, duration, path.join(outputDir, 'sprite.jpg'))
+      ];
+    }
+    case 'audio':
+      return [await renderWaveform(inputPath, path.join(outputDir, 'waveform.png'))];
+    default:
+      return [await renderFirstPage(inputPath, path.join(outputDir, 'page.webp'))];
+  }
+}
+
+async function renderThumbnail(inputPath, format, outputPath) {
+  // SVGs are rendered from their sanitized form, as in conversions
+  const input = format === 'svg' ? sanitizeSvg(await fs.readFile(inputPath)) : inputPath;
+
+  const { width, height } = await sharp(input)
+    .autoOrient()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toFile(outputPath);
+
+  return { kind: 'thumbnail', path: outputPath, width, height };
+}
+
+// A frame a tenth of the way in skips most fade-ins and title cards
+async function renderPoster(inputPath, duration, outputPath) {
+  const time = duration ? Math.min(duration * 0.1, 10) : 0;
+
+  await runFFmpeg([
+    '-ss', time.toFixed(2),
+    '-i', inputPath,
+    '-frames:v', '1',
+    '-vf', `scale='min(${PREVIEW_WIDTH},iw)':-2`,
+    '-q:v', '3',
+    outputPath
+  ]);
+
+  const { width, height } = await sharp(outputPath).metadata();
+  return { kind: 'poster', path: outputPath, width, height };
+}
+
+// Frames spread evenly over the video, tiled left to right, top to bottom
+// Only keyframes are decoded, so long videos stay quick to sample.
+async function renderSprite(inputPath, duration, outputPath) {
+  const frames = SPRITE_COLUMNS * SPRITE_ROWS;
+  const interval = duration ? Math.max(duration / frames, 0.1) : 1;
+
+  await runFFmpeg([
+    '-skip_frame', 'nokey',
+    '-i', inputPath,
+    '-vf', [
+      `select='isnan(prev_selected_t)+gte(t-prev_selected_t,${interval.toFixed(3)})'`,
+      `scale=${SPRITE_TILE_WIDTH}:-2`,
+      `tile=${SPRITE_COLUMNS}x${SPRITE_ROWS}`
+    ].join(','),
+    '-fps_mode', 'vfr',
+    '-frames:v', '1',
+    '-q:v', '4',
+    outputPath
+  ]);
+
+  const { width, height } = await sharp(outputPath).metadata();
+  return {
+    kind: 'sprite',
+    path: outputPath,
+    width,
+    height,
+    columns: SPRITE_COLUMNS,
+    rows: SPRITE_ROWS,
+    tileWidth: width / SPRITE_COLUMNS,
+    tileHeight: height / SPRITE_ROWS,
+    interval: Math.round(interval * 1000) / 1000 // Seconds between tiles
+  };
+}
+
+async function renderWaveform(inputPath, outputPath) {
+  await runFFmpeg([
+    '-i', inputPath,
+    '-filter_complex', `aformat=channel_layouts=mono,showwavespic=s=${WAVEFORM_WIDTH}x${WAVEFORM_HEIGHT}:colors=${WAVEFORM_COLOR}`,
+    '-frames:v', '1',
+    outputPath
+  ]);
+
+  return { kind: 'waveform', path: outputPath, width: WAVEFORM_WIDTH, height: WAVEFORM_HEIGHT };
+}
+
+async function renderFirstPage(inputPath, outputPath) {
+  let preview = null;
+
+  await renderPdfPages(inputPath, { dpi: 96, pages: '1' }, async (png) => {
+    preview = await sharp(png)
+      .resize({ width: PREVIEW_WIDTH, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toFile(outputPath);
+  });
+
+  return { kind: 'page', path: outputPath, width: preview.width, height: preview.height };
+}
+
+async function runFFmpeg(args) {
+  try {
+    await execFileAsync(ffmpeg, ['-hide_banner', '-v', 'error', '-y', ...args], { timeout: FFMPEG_TIMEOUT });
+  } catch (error) {
+    throw new Error(error.killed ? 'FFmpeg timed out' : `FFmpeg failed: ${(error.stderr || error.message).trim()}`);
+  }
+}
@@ -0,0 +1,170 @@
+import sax from 'sax';
+import sharp from 'sharp';
+import ImageTracer from 'imagetracerjs';
+
+// Tracing is CPU-bound; larger images are scaled down first
+const MAX_TRACE_PIXELS = 1000 * 1000;
+
+// Elements that run code or pull in other documents
+const BLOCKED_ELEMENTS = new Set([
+  'script', 'foreignobject', 'iframe', 'embed', 'object', 'handler', 'listener', 'audio', 'video'
+]);
+
+// Same-document fragments and inline raster images are the only references kept
+const SAFE_REFERENCE = /^\s*(#|data:image\/(png|jpe?g|gif|webp);)/i;
+
+/**
+ * Strip scripts, event handlers and external references from an SVG
+ * The document is re-serialized from parsed elements, so anything the parser
+ * does not understand (DOCTYPEs, entity declarations, processing instructions)
+ * is dropped rather than passed through to the renderer.
+ * @param {Buffer|string} input - SVG source
+ * @returns {Buffer} Sanitized SVG
+ */
+export function sanitizeSvg(input) {
+  const source = input.toString('utf8').replace(/^\uFEFF/, '');
+  const parser = sax.parser(true, { trim: false, normalize: false });
+  const output = [];
+  const elements = [];
+  let skipDepth = 0;
+  let sawRoot = false;
+
+  parser.onopentag = (node) => {
+    const name = localName(node.name);
+
+    if (!sawRoot) {
+      if (name !== 'svg') throw new Error('Not an SVG file');
+      sawRoot = true;
+    }
+
+    if (skipDepth > 0 || BLOCKED_ELEMENTS.has(name) || isHrefAnimation(name, node.attributes)) {
+      skipDepth++;
+      return;
+    }
+
+    elements.push(name);
+
+    const attributes = Object.entries(node.attributes)
+      .map(([attribute, value]) => [attribute, sanitizeAttribute(attribute, value)])
+      .filter(([, value]) => value !== null)
+      .map(([attribute, value]) => ` ${attribute}="${escapeXml(value)}"`)
+      .join('');
+
+    output.push(`<${node.name}${attributes}>`);
+  };
+
+  parser.onclosetag = (tagName) => {
+    if (skipDepth > 0) {
+      skipDepth--;
+      return;
+    }
+
+    elements.pop();
+    output.push(`</${tagName}>`);
+  };
+
+  const onText = (text) => {
+    if (skipDepth > 0 || elements.length === 0) return;
+    output.push(escapeXml(elements.at(-1) === 'style' ? sanitizeCss(text) : text));
+  };
+
+  parser.ontext = onText;
+  parser.oncdata = onText;
+
+  try {
+    parser.write(source).close();
+  } catch (error) {
+    // Errors from our own handlers pass through; sax errors are reported as invalid XML
+    if (!parser.error) throw error;
+    if (!sawRoot) throw new Error('Not an SVG file');
+
+    const reason = error.message.split('\n')[0];
+    throw new Error(/entity/i.test(reason)
+      ? 'SVG uses entities declared in a DOCTYPE, which are not supported'
+      : `Invalid SVG file: ${reason}`);
+  }
+
+  if (!sawRoot) {
+    throw new Error('Not an SVG file');
+  }
+
+  return Buffer.from(output.join(''), 'utf8');
+}
+
+/**
+ * Trace a bitmap into an SVG of filled paths
+ * Works best on logos and line art with a limited palette.
+ * @param {string} inputPath - Path to a raster image (the first frame is traced)
+ * @param {Object} options - Trace options
+ * @param {number} options.colors - Palette size
+ * @param {number} options.smoothing - 0 follows pixels closely, 5 gives the fewest, roundest curves
+ * @param {number} options.despeckle - Drop shapes whose outline is shorter than this many pixels
+ * @returns {Promise<string>} SVG document, sized like the input image
+ */
+export async function traceImage(inputPath, { colors = 16, smoothing = 1, despeckle = 8 } = {}) {
+  const { width, height } = await sharp(inputPath).metadata();
+  const scale = Math.min(1, Math.sqrt(MAX_TRACE_PIXELS / (width * height)));
+
+  let image = sharp(inputPath).ensureAlpha().toColourspace('srgb');
+  if (scale < 1) {
+    image = image.resize(Math.max(1, Math.round(width * scale)));
+  }
+
+  const { data, info } = await image.raw().toBuffer({ resolveWithObject: true });
+  const threshold = 2 ** (smoothing - 1);
+
+  const svg = ImageTracer.imagedataToSVG({
+    width: info.width,
+    height: info.height,
+    data: new Uint8ClampedArray(data.buffer, data.byteOffset, data.length)
+  }, {
+    numberofcolors: colors,
+    ltres: threshold,
+    qtres: threshold,
+    blurradius: Math.max(0, smoothing - 2),
+    pathomit: despeckle,
+    viewbox: true
+  });
+
+  // Traced at reduced size when scaled; the viewBox maps it back to the original dimensions
+  return svg.replace(/^<svg [^>]*?>/, (tag) => tag
+    .replace(/\s*desc="[^"]*"/, '')
+    .replace('<svg ', `<svg width="${width}" height="${height}" `));
+}
+
+// "svg:script" -> "script"
+function localName(name) {
+  return name.slice(name.indexOf(':') + 1).toLowerCase();
+}
+
+// <set>/<animate> can swap a link target in after sanitizing
+function isHrefAnimation(name, attributes) {
+  if (name !== 'set' && !name.startsWith('animate')) return false;
+  return localName(attributes.attributeName || '') === 'href';
+}
+
+function sanitizeAttribute(attribute, value) {
+  const name = localName(attribute);
+
+  if (name.startsWith('on') || name === 'base') return null;
+  if (name === 'href' || name === 'src') return SAFE_REFERENCE.test(value) ? value : null;
+  if (name === 'style' || /url\(|@import/i.test(value)) return sanitizeCss(value);
+
+  return value;
+}
+
+// Drop @import rules and point url() references outside the document at nothing
+function sanitizeCss(css) {
+  return css
+    .replace(/\\/g, '') // CSS escapes could spell "url" or "@import" past the patterns below
+    .replace(/@import[^;]*;?/gi, '')
+    .replace(/url\(\s*(['"]?)(.*?)\1\s*\)/gi, (match, quote, target) => (SAFE_REFERENCE.test(target) ? match : 'none'));
+}
+
+function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,138 @@
+// Video codecs by option value; quality maps to a CRF (or -q:v for MPEG-4)
+const VIDEO_CODECS = {
+  h264: {
+    encoder: 'libx264',
+    quality: { high: 18, medium: 23, low: 28 },
+    args: ['-preset', 'fast'],
+    pixelFormats: ['yuv420p', 'yuv422p', 'yuv444p', 'yuv420p10le']
+  },
+  h265: {
+    encoder: 'libx265',
+    quality: { high: 22, medium: 28, low: 32 },
+    args: ['-preset', 'fast'],
+    pixelFormats: ['yuv420p', 'yuv422p', 'yuv444p', 'yuv420p10le']
+  },
+  vp9: {
+    encoder: 'libvpx-vp9',
+    quality: { high: 24, medium: 31, low: 37 },
+    args: ['-deadline', 'good', '-cpu-used', '4', '-row-mt', '1'],
+    pixelFormats: ['yuv420p', 'yuv422p', 'yuv444p', 'yuv420p10le']
+  },
+  av1: {
+    encoder: 'libaom-av1',
+    quality: { high: 24, medium: 30, low: 38 },
+    args: ['-cpu-used', '6', '-row-mt', '1'],
+    pixelFormats: ['yuv420p', 'yuv422p', 'yuv444p', 'yuv420p10le']
+  },
+  mpeg4: {
+    encoder: 'mpeg4',
+    quality: { high: 2, medium: 4, low: 8 },
+    qualityFlag: '-q:v',
+    pixelFormats: ['yuv420p']
+  }
+};
+
+const AUDIO_CODECS = {
+  aac: 'aac',
+  mp3: 'libmp3lame',
+  opus: 'libopus',
+  vorbis: 'libvorbis'
+};
+
+// What each output container can hold; the first codec of each list is the default
+const CONTAINERS = {
+  mp4: { video: ['h264', 'h265'], audio: ['aac', 'mp3'], faststart: true },
+  mov: { video: ['h264', 'h265'], audio: ['aac'], faststart: true },
+  webm: { video: ['vp9', 'av1'], audio: ['opus', 'vorbis'] },
+  avi: { video: ['mpeg4'], audio: ['mp3'] }
+};
+
+/**
+ * Encoding options shared by video converters; codecs and pixel formats are
+ * checked against the output container by validateVideoOptions
+ */
+export const VIDEO_ENCODE_OPTIONS = {
+  videoCodec: { type: 'string', enum: Object.keys(VIDEO_CODECS), description: 'Video codec; defaults to h264 for mp4/mov, vp9 for webm and mpeg4 for avi' },
+  audioCodec: { type: 'string', enum: Object.keys(AUDIO_CODECS), description: 'Audio codec; defaults to aac for mp4/mov, opus for webm and mp3 for avi' },
+  videoBitrate: { type: 'string', pattern: '^\\d+(\\.\\d+)?[kM]$', description: 'Target video bitrate such as 2500k or 4M; replaces quality' },
+  audioBitrate: { type: 'string', pattern: '^\\d+k$', description: 'Audio bitrate, e.g. 128k' },
+  fps: { type: 'number', min: 1, max: 120, description: 'Output frame rate (default keeps the source rate)' },
+  pixelFormat: { type: 'string', enum: ['yuv420p', 'yuv422p', 'yuv444p', 'yuv420p10le'], default: 'yuv420p', description: 'Pixel format; yuv420p plays everywhere' }
+};
+
+/**
+ * Codecs each output container accepts, for clients building codec pickers
+ */
+export function getContainerCodecs() {
+  return Object.fromEntries(Object.entries(CONTAINERS)
+    .map(([container, { video, audio }]) => [container, { video, audio }]));
+}
+
+/**
+ * Check codec options against the output container
+ * @param {Object} options - Normalized video options
+ * @param {string} container - Output format
+ * @throws {Error} When a codec or pixel format does not fit the container
+ */
+export function validateVideoOptions(options, container) {
+  resolveCodecs(options, container);
+}
+
+/**
+ * FFmpeg output arguments for the container and encoding options
+ * @param {Object} options - Normalized video options (quality, videoCodec, audioCodec, ...)
+ * @param {string} container - Output format
+ * @returns {string[]} Arguments to place between the inputs and the output path
+ */
+export function buildVideoEncodeArgs(options, container) {
+  const { quality = 'medium', videoBitrate, audioBitrate, fps, pixelFormat = 'yuv420p' } = options;
+  const { video, audio, faststart } = resolveCodecs(options, container);
+  const codec = VIDEO_CODECS[video];
+
+  const args = ['-c:v', codec.encoder, ...(codec.args || [])];
+
+  if (videoBitrate) {
+    args.push('-b:v', videoBitrate);
+  } else {
+    args.push(codec.qualityFlag || '-crf', String(codec.quality[quality]));
+
+    // VP9 and AV1 only run in constant-quality mode without a bitrate cap
+    if (video === 'vp9' || video === 'av1') args.push('-b:v', '0');
+  }
+
+  args.push('-pix_fmt', pixelFormat);
+  if (fps) args.push('-r', String(fps));
+
+  // Apple players only recognize HEVC tagged as hvc1
+  if (video === 'h265') args.push('-tag:v', 'hvc1');
+
+  args.push('-c:a', AUDIO_CODECS[audio]);
+  if (audioBitrate) args.push('-b:a', audioBitrate);
+
+  if (faststart) args.push('-movflags', 'faststart'); // For web streaming
+
+  return args;
+}
+
+function resolveCodecs({ videoCodec, audioCodec, pixelFormat = 'yuv420p' }, container) {
+  const supported = CONTAINERS[container];
+
+  if (!supported) {
+    throw new Error(`No video codecs are known for ${container}`);
+  }
+
+  const video = videoCodec || supported.video[0];
+  const audio = audioCodec || supported.audio[0];
+
+  if (!supported.video.includes(video)) {
+    throw new Error(`Video codec ${video} cannot be stored in ${container} (use ${supported.video.join(' or ')})`);
+  }
+  if (!supported.audio.includes(audio)) {
+    throw new Error(`Audio codec ${audio} cannot be stored in ${container} (use ${supported.audio.join(' or ')})`);
+  }
+  if (!VIDEO_CODECS[video].pixelFormats.includes(pixelFormat)) {
+    throw new Error(`Pixel format ${pixelFormat} is not supported by ${video} (use ${VIDEO_CODECS[video].pixelFormats.join(', ')})`);
+  }
+
+  return { video, audio, faststart: Boolean(supported.faststart) };
+}
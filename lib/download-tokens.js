@@ -0,0 +1,35 @@
+import crypto from 'crypto';
+import { supabase } from './supabase.js';
+
+/**
+ * Generate secure download token (expires in 24 hours)
+ * @param {string|null} fileId - file_uploads row the file belongs to (null for batch bundles)
+ * @param {string} filePath - Storage key of the file to serve
+ * @param {Object} options - Token options
+ * @param {string} options.batchId - Batch whose ZIP bundle this token serves
+ * @returns {Promise<string>} Token for /api/download/:token
+ */
+export async function generateDownloadToken(fileId, filePath, { batchId = null } = {}) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  // Store download token with expiry
+  const expiresAt = new Date();
+  expiresAt.setHours(expiresAt.getHours() + 24); // 24 hours from now
+
+  const { error } = await supabase
+    .from('download_tokens')
+    .insert([{
+      token,
+      file_id: fileId,
+      batch_id: batchId,
+      file_path: filePath,
+      expires_at: expiresAt.toISOString(),
+      created_at: new Date().toISOString()
+    }]);
+
+  if (error) {
+    throw new Error(`Failed to create download token: ${error.message}`);
+  }
+
+  return token;
+}
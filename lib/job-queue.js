@@ -0,0 +1,254 @@
+import { supabase } from './supabase.js';
+
+// Default retry budget for a job before it is marked as failed
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '3', 10);
+
+/**
+ * Add a conversion job to the queue
+ * @param {Object} job - Job definition
+ * @param {string} job.fileId - file_uploads row to convert
+ * @param {string|null} job.userId - Owner of the job
+ * @param {string} job.targetFormat - Target format
+ * @param {Object} job.options - Conversion options
+ * @param {number} job.priority - Higher runs first (pro users get 10)
+ * @param {string|null} job.batchId - Batch the job belongs to
+ * @param {string[]|null} job.inputFileIds - For combine jobs, every input in order (fileId is the first)
+ * @returns {Promise<Object>} Inserted job row
+ */
+export async function enqueueJob({ fileId, userId = null, targetFormat, options = {}, priority = 0, batchId = null, inputFileIds = null }) {
+  const { data, error } = await supabase
+    .from('conversion_jobs')
+    .insert([{
+      file_id: fileId,
+      user_id: userId,
+      batch_id: batchId,
+      input_file_ids: inputFileIds,
+      target_format: targetFormat,
+      options,
+      priority,
+      status: 'queued',
+      max_attempts: DEFAULT_MAX_ATTEMPTS,
+      created_at: new Date().toISOString()
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to enqueue job: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Atomically claim the next queued job (FOR UPDATE SKIP LOCKED)
+ * @param {string} workerId - Identifier of the claiming worker
+ * @returns {Promise<Object|null>} Claimed job or null when the queue is empty
+ */
+export async function claimJob(workerId) {
+  const { data, error } = await supabase.rpc('claim_conversion_job', {
+    p_worker_id: workerId
+  });
+
+  if (error) {
+    throw new Error(`Failed to claim job: ${error.message}`);
+  }
+
+  return Array.isArray(data) ? data[0] || null : data;
+}
+
+/**
+ * Refresh the heartbeat of a running job so it is not reclaimed
+ */
+export async function heartbeatJob(jobId, workerId) {
+  const { error } = await supabase
+    .from('conversion_jobs')
+    .update({ heartbeat_at: new Date().toISOString() })
+    .eq('id', jobId)
+    .eq('locked_by', workerId);
+
+  if (error) {
+    console.error('Failed to heartbeat job:', error);
+  }
+}
+
+/**
+ * Mark a job as completed and store its result
+ */
+export async function completeJob(jobId, result) {
+  const { error } = await supabase
+    .from('conversion_jobs')
+    .update({
+      status: 'completed',
+      result,
+      error_message: null,
+      locked_by: null,
+      completed_at: new Date().toISOString()
+    })
+    .eq('id', jobId);
+
+  if (error) {
+    console.error('Failed to complete job:', error);
+  }
+}
+
+/**
+ * Mark a job as failed, or put it back in the queue while attempts remain
+ * @returns {Promise<boolean>} True when the job will be retried
+ */
+export async function failJob(job, errorMessage) {
+  const retry = job.attempts < job.max_attempts;
+
+  // Back off 30s, 60s, 120s... between attempts
+  const runAt = new Date(Date.now() + 30000 * Math.pow(2, job.attempts - 1));
+
+  const { error } = await supabase
+    .from('conversion_jobs')
+    .update({
+      status: retry ? 'queued' : 'failed',
+      error_message: errorMessage,
+      locked_by: null,
+      run_at: retry ? runAt.toISOString() : job.run_at,
+      completed_at: retry ? null : new Date().toISOString()
+    })
+    .eq('id', job.id);
+
+  if (error) {
+    console.error('Failed to update failed job:', error);
+  }
+
+  return retry;
+}
+
+/**
+ * Requeue jobs whose worker stopped sending heartbeats (crashed or killed)
+ * Jobs out of attempts fail instead, and are counted as failed items of their batches.
+ * @param {number} staleAfterSeconds - Heartbeat age after which a job is considered abandoned
+ * @returns {Promise<Object>} { recovered: number of jobs recovered, settledBatches: batch rows
+ *   whose failed_count was raised, with their new counters }
+ */
+export async function requeueStaleJobs(staleAfterSeconds) {
+  const { data, error } = await supabase.rpc('requeue_stale_conversion_jobs', {
+    p_stale_after_seconds: staleAfterSeconds
+  });
+
+  if (error) {
+    console.error('Failed to requeue stale jobs:', error);
+    return { recovered: 0, settledBatches: [] };
+  }
+
+  return {
+    recovered: data?.recovered || 0,
+    settledBatches: data?.batches || []
+  };
+}
+
+/**
+ * Fetch a job by id
+ */
+export async function getJob(jobId) {
+  const { data, error } = await supabase
+    .from('conversion_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .single();
+
+  if (error) return null;
+
+  return data;
+}
+
+/*
+ * Required Database Objects (Supabase):
+ *
+ * -- Conversion job queue
+ * CREATE TABLE conversion_jobs (
+ *   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+ *   file_id UUID REFERENCES file_uploads(id) ON DELETE CASCADE,
+ *   user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+ *   target_format TEXT NOT NULL,
+ *   options JSONB DEFAULT '{}',
+ *   priority INTEGER DEFAULT 0,
+ *   status TEXT DEFAULT 'queued', -- queued | processing | completed | failed
+ *   attempts INTEGER DEFAULT 0,
+ *   max_attempts INTEGER DEFAULT 3,
+ *   locked_by TEXT,
+ *   locked_at TIMESTAMP WITH TIME ZONE,
+ *   heartbeat_at TIMESTAMP WITH TIME ZONE,
+ *   run_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+ *   started_at TIMESTAMP WITH TIME ZONE,
+ *   completed_at TIMESTAMP WITH TIME ZONE,
+ *   result JSONB,
+ *   error_message TEXT,
+ *   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+ * );
+ *
+ * CREATE INDEX idx_conversion_jobs_queue ON conversion_jobs(status, run_at, priority DESC, created_at);
+ * CREATE INDEX idx_conversion_jobs_file_id ON conversion_jobs(file_id);
+ *
+ * -- Combine jobs (several files into one output) list their inputs in order
+ * ALTER TABLE conversion_jobs ADD COLUMN IF NOT EXISTS input_file_ids UUID[];
+ *
+ * -- Claim the next runnable job without blocking other workers
+ * CREATE OR REPLACE FUNCTION claim_conversion_job(p_worker_id TEXT)
+ * RETURNS SETOF conversion_jobs AS $$
+ *   UPDATE conversion_jobs
+ *   SET status = 'processing',
+ *       locked_by = p_worker_id,
+ *       locked_at = NOW(),
+ *       heartbeat_at = NOW(),
+ *       started_at = COALESCE(started_at, NOW()),
+ *       attempts = attempts + 1
+ *   WHERE id = (
+ *     SELECT id FROM conversion_jobs
+ *     WHERE status = 'queued' AND run_at <= NOW()
+ *     ORDER BY priority DESC, created_at
+ *     LIMIT 1
+ *     FOR UPDATE SKIP LOCKED
+ *   )
+ *   RETURNING *;
+ * $$ LANGUAGE sql;
+ *
+ * -- Recover jobs abandoned by crashed workers; jobs out of attempts fail and are
+ * -- counted on their batch in the same statement, like finish_batch_item would
+ * CREATE OR REPLACE FUNCTION requeue_stale_conversion_jobs(p_stale_after_seconds INTEGER)
+ * RETURNS JSONB AS $$
+ * DECLARE
+ *   recovered INTEGER;
+ *   batches JSONB;
+ * BEGIN
+ *   WITH stale AS (
+ *     UPDATE conversion_jobs
+ *     SET status = CASE WHEN attempts >= max_attempts THEN 'failed' ELSE 'queued' END,
+ *         error_message = 'Worker stopped responding',
+ *         locked_by = NULL
+ *     WHERE status = 'processing'
+ *       AND heartbeat_at < NOW() - make_interval(secs => p_stale_after_seconds)
+ *     RETURNING file_id, batch_id, status, error_message
+ *   ), files AS (
+ *     UPDATE file_uploads f
+ *     SET status = stale.status,
+ *         error_message = CASE WHEN stale.status = 'failed' THEN stale.error_message END
+ *     FROM stale
+ *     WHERE f.id = stale.file_id
+ *   ), failed_items AS (
+ *     SELECT batch_id, COUNT(*) AS failed
+ *     FROM stale
+ *     WHERE status = 'failed' AND batch_id IS NOT NULL
+ *     GROUP BY batch_id
+ *   ), settled AS (
+ *     UPDATE conversion_batches b
+ *     SET failed_count = b.failed_count + failed_items.failed,
+ *         updated_at = NOW()
+ *     FROM failed_items
+ *     WHERE b.id = failed_items.batch_id
+ *     RETURNING b.*
+ *   )
+ *   SELECT (SELECT COUNT(*) FROM stale),
+ *          (SELECT COALESCE(jsonb_agg(to_jsonb(settled)), '[]'::jsonb) FROM settled)
+ *   INTO recovered, batches;
+ *
+ *   RETURN jsonb_build_object('recovered', recovered, 'batches', batches);
+ * END;
+ * $$ LANGUAGE plpgsql;
+ */
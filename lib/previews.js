@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { supabase } from './supabase.js';
+import { renderPreviews } from './converters.js/preview-render.js';
+import { storage, storeFile, withLocalFile } from './storage.js/file-storage.js';
+
+// Previews are rendered into <PREVIEW_DIR>/<fileId>/<upload|output>, then stored
+// under the matching "previews/<fileId>/<upload|output>" keys
+export const PREVIEW_DIR = path.join(process.cwd(), 'temp', 'previews');
+
+// Preview links expire with the download links
+const PREVIEW_EXPIRY_HOURS = 24;
+
+// Background renders running at once in each API process; the rest wait their turn
+const PREVIEW_CONCURRENCY = parseInt(process.env.PREVIEW_CONCURRENCY || '2', 10);
+
+const previewQueue = [];
+let activeRenders = 0;
+
+/**
+ * Render previews for an upload or a conversion output and issue a token for each
+ * Failures are logged and never fail the upload or conversion itself.
+ * @param {string} fileId - file_uploads row the file belongs to
+ * @param {string} filePath - File to preview
+ * @param {Object} source - What is being previewed
+ * @param {string} source.format - File extension
+ * @param {string} source.category - Format category
+ * @param {Object} source.mediaInfo - Probe results, when known
+ * @param {string} source.role - 'upload' or 'output'
+ * @returns {Promise<Object|null>} Previews by kind (thumbnail, poster, sprite, waveform, page),
+ *   each { url, width, height, expiresAt, ... }, or null when the file has none
+ */
+export async function createPreviews(fileId, filePath, { format, category, mediaInfo = null, role = 'upload' }) {
+  const outputDir = path.join(PREVIEW_DIR, fileId, role);
+  const prefix = `previews/${fileId}/${role}`;
+
+  try {
+    const rendered = await renderPreviews(filePath, format, category, outputDir, mediaInfo);
+    if (rendered.length === 0) return null;
+
+    const previews = {};
+
+    for (const { kind, path: previewPath, ...details } of rendered) {
+      const key = await storeFile(`${prefix}/${path.basename(previewPath)}`, previewPath);
+      const { token, expiresAt } = await generatePreviewToken(fileId, key, kind);
+      previews[kind] = { url: `/api/previews/${token}`, ...details, expiresAt };
+    }
+
+    return previews;
+
+  } catch (error) {
+    console.error(`Preview generation failed for ${fileId}:`, error);
+    await storage.removePrefix(prefix).catch(console.error);
+    return null;
+
+  } finally {
+    if (storage.localPath(prefix) !== outputDir) {
+      await fs.rm(outputDir, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Generate a token for one preview file (expires in 24 hours)
+ * Unlike download tokens, preview tokens have no download limit.
+ * @returns {Promise<{ token: string, expiresAt: string }>}
+ */
+export async function generatePreviewToken(fileId, storageKey, kind) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const expiresAt = new Date();
+  expiresAt.setHours(expiresAt.getHours() + PREVIEW_EXPIRY_HOURS);
+
+  const { error } = await supabase
+    .from('preview_tokens')
+    .insert([{
+      token,
+      file_id: fileId,
+      kind,
+      file_path: storageKey,
+      expires_at: expiresAt.toISOString(),
+      created_at: new Date().toISOString()
+    }]);
+
+  if (error) {
+    throw new Error(`Failed to create preview token: ${error.message}`);
+  }
+
+  return { token, expiresAt: expiresAt.toISOString() };
+}
+
+/**
+ * Render previews of a stored file in the background (see createPreviews)
+ * Renders are queued, so a burst of uploads cannot start unlimited encoders.
+ * @param {string} storageKey - Stored file to preview
+ * @returns {Promise<Object|null>} Settles once the previews are stored
+ */
+export function queuePreviews(fileId, storageKey, source) {
+  return new Promise((resolve, reject) => {
+    previewQueue.push(() => withLocalFile(storageKey, (filePath) => createPreviews(fileId, filePath, source))
+      .then(resolve, reject));
+    drainPreviewQueue();
+  });
+}
+
+function drainPreviewQueue() {
+  while (activeRenders < PREVIEW_CONCURRENCY && previewQueue.length > 0) {
+    const render = previewQueue.shift();
+    activeRenders++;
+
+    render().finally(() => {
+      activeRenders--;
+      drainPreviewQueue();
+    });
+  }
+}
+
+/**
+ * Delete every preview of a file
+ */
+export async function removePreviews(fileId) {
+  await storage.removePrefix(`previews/${fileId}`);
+}
+
+/**
+ * Delete expired preview tokens and their files
+ * @returns {Promise<number>} Number of tokens removed
+ */
+export async function cleanupExpiredPreviews() {
+  const now = new Date().toISOString();
+
+  const { data: expired, error } = await supabase
+    .from('preview_tokens')
+    .select('file_path')
+    .lt('expires_at', now);
+
+  if (error) {
+    throw new Error(`Failed to load expired previews: ${error.message}`);
+  }
+
+  if (!expired?.length) return 0;
+
+  await storage.remove(expired.map((preview) => preview.file_path)).catch(console.error);
+
+  await supabase
+    .from('preview_tokens')
+    .delete()
+    .lt('expires_at', now);
+
+  return expired.length;
+}
+
+/*
+ * Required Database Objects (Supabase):
+ *
+ * CREATE TABLE preview_tokens (
+ *   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+ *   token TEXT UNIQUE NOT NULL,
+ *   file_id UUID REFERENCES file_uploads(id) ON DELETE CASCADE,
+ *   kind TEXT NOT NULL, -- thumbnail | poster | sprite | waveform | page
+ *   file_path TEXT NOT NULL, -- storage key
+ *   expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+ *   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+ * );
+ *
+ * ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS previews JSONB;
+ * ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS output_previews JSONB;
+ * ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS preview_status TEXT; -- pending | ready | none | failed
+ * CREATE INDEX idx_preview_tokens_expires ON preview_tokens(expires_at);
+ */
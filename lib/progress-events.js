@@ -0,0 +1,103 @@
+import { EventEmitter } from 'events';
+import { supabase } from './supabase.js';
+
+// Events that end a conversion's progress stream
+export const TERMINAL_EVENTS = ['completed', 'failed'];
+
+const PROGRESS_EVENTS = ['progress', ...TERMINAL_EVENTS];
+
+// Realtime broadcast channel for a single conversion
+function channelName(fileId) {
+  return `conversion-progress:${fileId}`;
+}
+
+/**
+ * PUBLISHING (worker processes)
+ */
+
+const publishChannels = new Map();
+
+function getPublishChannel(fileId) {
+  let channel = publishChannels.get(fileId);
+
+  if (!channel) {
+    channel = supabase.channel(channelName(fileId));
+    channel.subscribe();
+    publishChannels.set(fileId, channel);
+  }
+
+  return channel;
+}
+
+/**
+ * Broadcast a progress event to every listener of a conversion
+ * @param {string} fileId - Conversion (file_uploads row) id, or a batch channel id
+ * @param {string} event - 'progress', 'completed' or 'failed'
+ * @param {Object} payload - Event data (progress, message, downloadUrl, error...)
+ */
+export async function publishProgressEvent(fileId, event, payload = {}) {
+  const channel = getPublishChannel(fileId);
+  const message = {
+    fileId,
+    event,
+    ...payload,
+    timestamp: new Date().toISOString()
+  };
+
+  try {
+    // Use the socket once joined, REST until then so early ticks are not lost
+    if (channel.state === 'joined') {
+      await channel.send({ type: 'broadcast', event, payload: message });
+    } else {
+      await channel.httpSend(event, message);
+    }
+  } catch (error) {
+    console.error('Failed to publish progress event:', error);
+  }
+
+  if (TERMINAL_EVENTS.includes(event)) {
+    publishChannels.delete(fileId);
+    await supabase.removeChannel(channel);
+  }
+}
+
+/**
+ * SUBSCRIBING (API server)
+ */
+
+// One realtime channel per conversion, shared by all connected clients
+const subscriptions = new Map();
+
+/**
+ * Listen to progress events of a conversion
+ * @param {string} fileId - Conversion (file_uploads row) id, or a batch channel id
+ * @param {Function} listener - Called with each event payload
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToProgress(fileId, listener) {
+  let subscription = subscriptions.get(fileId);
+
+  if (!subscription) {
+    const emitter = new EventEmitter();
+    const channel = supabase.channel(channelName(fileId));
+
+    for (const event of PROGRESS_EVENTS) {
+      channel.on('broadcast', { event }, ({ payload }) => emitter.emit('event', payload));
+    }
+
+    channel.subscribe();
+    subscription = { channel, emitter };
+    subscriptions.set(fileId, subscription);
+  }
+
+  subscription.emitter.on('event', listener);
+
+  return () => {
+    subscription.emitter.off('event', listener);
+
+    if (subscription.emitter.listenerCount('event') === 0) {
+      subscriptions.delete(fileId);
+      supabase.removeChannel(subscription.channel);
+    }
+  };
+}
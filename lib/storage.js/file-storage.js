@@ -0,0 +1,204 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import { supabase } from '../supabase.js';
+import { isStreamManifest } from '../converters.js/adaptive-stream.js';
+import { createLocalStorage } from './local-storage.js';
+import { createSupabaseStorage } from './supabase-storage.js';
+import { createS3Storage } from './s3-storage.js';
+
+// Where uploads, outputs, previews and cached results are kept: local, supabase or s3
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'local';
+
+// Redirect downloads to presigned URLs instead of proxying them (supabase and s3 only)
+export const PRESIGNED_DOWNLOADS = process.env.STORAGE_PRESIGNED_URLS === 'true';
+
+// Lifetime of a presigned URL; clients must start downloading within it
+export const PRESIGNED_URL_EXPIRY = parseInt(process.env.STORAGE_PRESIGNED_URL_EXPIRY || '300', 10); // seconds
+
+// Local copies of stored files that converters and previews read from
+const FETCH_DIR = path.join(process.cwd(), 'temp', 'fetched');
+
+// Stored uploads, outputs and previews outlive their 24 hour links by no more than this
+const STORED_FILE_MAX_AGE = 24 * 60 * 60 * 1000;
+
+// Swept by age; cached results and quarantined files are managed separately
+const SWEPT_PREFIXES = ['uploads', 'converted', 'previews'];
+
+/**
+ * The configured storage backend. Every backend stores files under keys such
+ * as "uploads/<name>" or "converted/<name>" and provides:
+ *   localPath(key)                  Path on this machine, or null for remote backends
+ *   write(key, body, { contentType }) Store a Buffer or readable stream
+ *   read(key, { start, end })       Readable stream of the file or a byte range (ENOENT when missing)
+ *   stat(key)                       { size }, or null when missing
+ *   list(prefix)                    [{ key, size, modifiedAt }] of every file under prefix/
+ *   copy(fromKey, toKey)            Copy within storage
+ *   importFile(key, filePath)       Move a working file into storage
+ *   remove(keys)                    Delete files (missing ones are ignored)
+ *   removePrefix(prefix)            Delete every file under prefix/
+ *   getSignedUrl(key, { expiresIn, fileName }) Presigned download URL, or null when unsupported
+ */
+export const storage = createStorage(STORAGE_BACKEND);
+
+function createStorage(backend) {
+  switch (backend) {
+    case 'local':
+      return createLocalStorage({
+        root: path.resolve(process.env.STORAGE_LOCAL_ROOT || path.join(process.cwd(), 'temp'))
+      });
+    case 'supabase':
+      return createSupabaseStorage({
+        client: supabase,
+        url: process.env.SUPABASE_URL,
+        key: process.env.SUPABASE_KEY,
+        bucket: process.env.SUPABASE_STORAGE_BUCKET || 'convert-pro'
+      });
+    case 's3':
+      return createS3Storage({
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || 'us-east-1',
+        endpoint: process.env.S3_ENDPOINT,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+      });
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND: ${backend} (use local, supabase or s3)`);
+  }
+}
+
+/**
+ * Move a finished working file into storage
+ * @param {string} key - Storage key, e.g. "uploads/<secure name>"
+ * @param {string} filePath - Working file; it no longer exists at this path afterwards
+ * @returns {Promise<string>} The key
+ */
+export async function storeFile(key, filePath) {
+  await storage.importFile(key, filePath);
+  return key;
+}
+
+/**
+ * Move a finished conversion output from the working directory into storage
+ * A stream manifest brings its whole directory of playlists and segments along.
+ * @param {string} outputPath - Output in the engine's working directory
+ * @returns {Promise<string>} Storage key of the output (of the manifest for streams)
+ */
+export async function storeOutput(outputPath) {
+  if (!isStreamManifest(outputPath)) {
+    return storeFile(`converted/${path.basename(outputPath)}`, outputPath);
+  }
+
+  const streamDir = path.dirname(outputPath);
+  const prefix = `converted/${path.basename(streamDir)}`;
+
+  if (storage.localPath(prefix) !== streamDir) {
+    // Renditions may sit in subdirectories
+    for (const entry of await fs.readdir(streamDir, { recursive: true, withFileTypes: true })) {
+      if (!entry.isFile()) continue;
+
+      const filePath = path.join(entry.parentPath, entry.name);
+      const relativeKey = path.relative(streamDir, filePath).split(path.sep).join('/');
+      await storage.importFile(`${prefix}/${relativeKey}`, filePath);
+    }
+    await fs.rm(streamDir, { recursive: true, force: true });
+  }
+
+  return `${prefix}/${path.basename(outputPath)}`;
+}
+
+/**
+ * Run fn with stored files available on this machine
+ * Remote files are fetched into a private working copy, removed again when fn settles.
+ * @param {string[]} keys - Storage keys
+ * @param {Function} fn - Called with the local paths, in the order of keys
+ */
+export async function withLocalFiles(keys, fn) {
+  const fetched = [];
+
+  try {
+    const localPaths = [];
+
+    for (const key of keys) {
+      const localPath = storage.localPath(key);
+      if (localPath) {
+        localPaths.push(localPath);
+        continue;
+      }
+
+      // Keep the file name, since converters go by its extension
+      const copyPath = path.join(FETCH_DIR, `${crypto.randomUUID()}_${path.posix.basename(key)}`);
+      fetched.push(copyPath);
+      await fs.mkdir(FETCH_DIR, { recursive: true });
+      await pipeline(await storage.read(key), createWriteStream(copyPath));
+      localPaths.push(copyPath);
+    }
+
+    return await fn(localPaths);
+
+  } finally {
+    for (const copyPath of fetched) {
+      await fs.unlink(copyPath).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Run fn with one stored file available on this machine (see withLocalFiles)
+ */
+export async function withLocalFile(key, fn) {
+  return withLocalFiles([key], ([localPath]) => fn(localPath));
+}
+
+/**
+ * Size of a stored output; a stream counts its whole directory
+ * @returns {Promise<number|null>} Bytes, or null when the file is gone
+ */
+export async function getStoredSize(key) {
+  if (isStreamManifest(key)) {
+    const files = await storage.list(path.posix.dirname(key));
+    return files.length ? files.reduce((sum, file) => sum + file.size, 0) : null;
+  }
+
+  return (await storage.stat(key))?.size ?? null;
+}
+
+/**
+ * Delete a stored file; a stream manifest takes its whole directory with it
+ */
+export async function removeStored(key) {
+  if (isStreamManifest(key)) {
+    await storage.removePrefix(path.posix.dirname(key));
+  } else {
+    await storage.remove([key]);
+  }
+}
+
+/**
+ * Delete stored uploads, outputs and previews that were not modified within maxAge
+ * Catches files no token points at any more, e.g. uploads that were never converted.
+ * @param {number} maxAge - Milliseconds
+ * @returns {Promise<number>} Number of files removed
+ */
+export async function cleanupStoredFiles(maxAge = STORED_FILE_MAX_AGE) {
+  const cutoff = Date.now() - maxAge;
+  let removed = 0;
+
+  for (const prefix of SWEPT_PREFIXES) {
+    try {
+      const expired = (await storage.list(prefix))
+        .filter((file) => file.modifiedAt.getTime() < cutoff)
+        .map((file) => file.key);
+
+      await storage.remove(expired);
+      removed += expired.length;
+    } catch (error) {
+      console.error(`Error cleaning stored ${prefix}:`, error);
+    }
+  }
+
+  return removed;
+}
@@ -0,0 +1,121 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createReadStream, createWriteStream } from 'fs';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+
+/**
+ * Storage on the local disk, under one root directory
+ * Keys are relative paths ("uploads/abc.png"); absolute paths stored by older
+ * versions are used as they are.
+ * @param {Object} config
+ * @param {string} config.root - Directory keys are resolved against
+ * @returns {Object} Storage backend (see file-storage.js)
+ */
+export function createLocalStorage({ root }) {
+  const resolve = (key) => (path.isAbsolute(key) ? key : path.join(root, ...key.split('/')));
+
+  return {
+    name: 'local',
+
+    // Files are already on disk, so workers read and write them in place
+    localPath: resolve,
+
+    async write(key, body) {
+      const target = resolve(key);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await pipeline(Buffer.isBuffer(body) ? Readable.from([body]) : body, createWriteStream(target));
+    },
+
+    async read(key, { start, end } = {}) {
+      const target = resolve(key);
+      await fs.access(target); // ENOENT like the remote backends' missing objects
+      return createReadStream(target, { start, end });
+    },
+
+    async stat(key) {
+      try {
+        const stats = await fs.stat(resolve(key));
+        return stats.isFile() ? { size: stats.size } : null;
+      } catch {
+        return null;
+      }
+    },
+
+    async list(prefix) {
+      const dir = resolve(prefix);
+      let names;
+
+      try {
+        names = await fs.readdir(dir, { recursive: true });
+      } catch {
+        return [];
+      }
+
+      const objects = [];
+      for (const name of names) {
+        const stats = await fs.stat(path.join(dir, name));
+        if (stats.isFile()) {
+          objects.push({
+            key: `${prefix}/${name.split(path.sep).join('/')}`,
+            size: stats.size,
+            modifiedAt: stats.mtime
+          });
+        }
+      }
+      return objects;
+    },
+
+    async copy(fromKey, toKey) {
+      const source = resolve(fromKey);
+      const target = resolve(toKey);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+
+      // Stored files are never modified in place, so copies can share one file
+      try {
+        await fs.link(source, target);
+      } catch (error) {
+        // Hard links cannot cross file systems
+        if (error.code !== 'EXDEV' && error.code !== 'EPERM') throw error;
+        await fs.copyFile(source, target, fs.constants.COPYFILE_EXCL);
+        return;
+      }
+
+      // A link shares the source's modification time; the copy must look new to age-based cleanup
+      const now = new Date();
+      await fs.utimes(target, now, now);
+    },
+
+    // Move a file from the working directory into storage
+    async importFile(key, filePath) {
+      const target = resolve(key);
+      if (path.resolve(filePath) === path.resolve(target)) return;
+
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      try {
+        await fs.rename(filePath, target);
+      } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        await fs.copyFile(filePath, target);
+        await fs.unlink(filePath);
+      }
+    },
+
+    async remove(keys) {
+      for (const key of keys) {
+        await fs.unlink(resolve(key)).catch((error) => {
+          if (error.code !== 'ENOENT') throw error;
+        });
+      }
+    },
+
+    async removePrefix(prefix) {
+      await fs.rm(resolve(prefix), { recursive: true, force: true });
+    },
+
+    // Local files are always served through the API
+    async getSignedUrl() {
+      return null;
+    }
+  };
+}
@@ -0,0 +1,148 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+// DeleteObjects takes at most 1000 keys per request
+const DELETE_BATCH_SIZE = 1000;
+
+/**
+ * Storage in an S3-compatible bucket (AWS S3, MinIO, R2, ...)
+ * @param {Object} config
+ * @param {string} config.bucket - Bucket name
+ * @param {string} config.region - Region (any value for MinIO)
+ * @param {string} config.endpoint - Custom endpoint, e.g. http://localhost:9000 for MinIO
+ * @param {string} config.accessKeyId - Access key; the SDK's default credential chain is used when unset
+ * @param {string} config.secretAccessKey - Secret key
+ * @param {boolean} config.forcePathStyle - Address the bucket in the path (needed by MinIO)
+ * @returns {Object} Storage backend (see file-storage.js)
+ */
+export function createS3Storage({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for S3 storage');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const write = async (key, body, { contentType } = {}) => {
+    // Multipart upload, so streams of unknown length are never buffered whole
+    await new Upload({
+      client,
+      params: { Bucket: bucket, Key: key, Body: body, ContentType: contentType }
+    }).done();
+  };
+
+  const list = async (prefix) => {
+    const objects = [];
+    let ContinuationToken;
+
+    do {
+      const page = await client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: `${prefix}/`,
+        ContinuationToken
+      }));
+
+      for (const object of page.Contents || []) {
+        objects.push({ key: object.Key, size: object.Size, modifiedAt: object.LastModified });
+      }
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+
+    return objects;
+  };
+
+  const remove = async (keys) => {
+    for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+      await client.send(new DeleteObjectsCommand({
+        Bucket: bucket,
+        Delete: { Objects: keys.slice(i, i + DELETE_BATCH_SIZE).map((Key) => ({ Key })), Quiet: true }
+      }));
+    }
+  };
+
+  return {
+    name: 's3',
+
+    localPath() {
+      return null;
+    },
+
+    write,
+
+    async read(key, { start, end } = {}) {
+      try {
+        const { Body } = await client.send(new GetObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Range: start !== undefined ? `bytes=${start}-${end ?? ''}` : undefined
+        }));
+        return Body;
+      } catch (error) {
+        throw isNotFound(error) ? notFoundError(key) : error;
+      }
+    },
+
+    async stat(key) {
+      try {
+        const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return { size: head.ContentLength };
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    list,
+
+    async copy(fromKey, toKey) {
+      await client.send(new CopyObjectCommand({
+        Bucket: bucket,
+        Key: toKey,
+        CopySource: `${bucket}/${fromKey.split('/').map(encodeURIComponent).join('/')}`
+      }));
+    },
+
+    async importFile(key, filePath, options) {
+      await write(key, createReadStream(filePath), options);
+      await fs.unlink(filePath);
+    },
+
+    remove,
+
+    async removePrefix(prefix) {
+      await remove((await list(prefix)).map((object) => object.key));
+    },
+
+    async getSignedUrl(key, { expiresIn, fileName } = {}) {
+      return getSignedUrl(client, new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ResponseContentDisposition: fileName ? `attachment; filename="${fileName}"` : undefined
+      }), { expiresIn });
+    }
+  };
+}
+
+function isNotFound(error) {
+  return error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+}
+
+function notFoundError(key) {
+  const error = new Error(`Stored file not found: ${key}`);
+  error.code = 'ENOENT';
+  return error;
+}
@@ -0,0 +1,135 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import { Readable } from 'stream';
+
+// Objects per list request, and keys per remove request
+const PAGE_SIZE = 1000;
+
+/**
+ * Storage in a Supabase Storage bucket
+ * Reads go straight to the object endpoint so they stream and honor byte ranges;
+ * the client library would buffer each download whole.
+ * @param {Object} config
+ * @param {Object} config.client - Supabase client (service key, so it bypasses storage policies)
+ * @param {string} config.url - Supabase project URL
+ * @param {string} config.key - Supabase key the client was created with
+ * @param {string} config.bucket - Private bucket name
+ * @returns {Object} Storage backend (see file-storage.js)
+ */
+export function createSupabaseStorage({ client, url, key: apiKey, bucket }) {
+  const objects = () => client.storage.from(bucket);
+  const objectUrl = (key) => `${url}/storage/v1/object/authenticated/${bucket}/${key.split('/').map(encodeURIComponent).join('/')}`;
+
+  const write = async (key, body, { contentType } = {}) => {
+    const { error } = await objects().upload(key, body, { contentType, upsert: true });
+    if (error) {
+      throw new Error(`Failed to store ${key}: ${error.message}`);
+    }
+  };
+
+  const list = async (prefix) => {
+    const found = [];
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data, error } = await objects().list(prefix, { limit: PAGE_SIZE, offset });
+      if (error) {
+        throw new Error(`Failed to list ${prefix}: ${error.message}`);
+      }
+
+      for (const item of data) {
+        // Folders have no id; list them recursively
+        if (item.id === null) {
+          found.push(...await list(`${prefix}/${item.name}`));
+        } else {
+          found.push({
+            key: `${prefix}/${item.name}`,
+            size: item.metadata?.size ?? 0,
+            modifiedAt: new Date(item.updated_at || item.created_at)
+          });
+        }
+      }
+
+      if (data.length < PAGE_SIZE) return found;
+    }
+  };
+
+  const remove = async (keys) => {
+    for (let i = 0; i < keys.length; i += PAGE_SIZE) {
+      const { error } = await objects().remove(keys.slice(i, i + PAGE_SIZE));
+      if (error) {
+        throw new Error(`Failed to remove stored files: ${error.message}`);
+      }
+    }
+  };
+
+  return {
+    name: 'supabase',
+
+    localPath() {
+      return null;
+    },
+
+    write,
+
+    async read(key, { start, end } = {}) {
+      const response = await fetch(objectUrl(key), {
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          apikey: apiKey,
+          ...(start !== undefined ? { Range: `bytes=${start}-${end ?? ''}` } : {})
+        }
+      });
+
+      if (response.status === 400 || response.status === 404) {
+        const error = new Error(`Stored file not found: ${key}`);
+        error.code = 'ENOENT';
+        throw error;
+      }
+      if (!response.ok) {
+        throw new Error(`Failed to read ${key}: HTTP ${response.status}`);
+      }
+
+      return Readable.fromWeb(response.body);
+    },
+
+    async stat(key) {
+      const { data, error } = await objects().info(key);
+
+      if (error) {
+        // Missing objects are reported as 400 or 404 depending on the Storage version
+        if ([400, 404].includes(Number(error.status ?? error.statusCode))) return null;
+        throw new Error(`Failed to read ${key}: ${error.message}`);
+      }
+
+      return { size: data.size };
+    },
+
+    list,
+
+    async copy(fromKey, toKey) {
+      const { error } = await objects().copy(fromKey, toKey);
+      if (error) {
+        throw new Error(`Failed to copy ${fromKey}: ${error.message}`);
+      }
+    },
+
+    async importFile(key, filePath, options) {
+      await write(key, createReadStream(filePath), options);
+      await fs.unlink(filePath);
+    },
+
+    remove,
+
+    async removePrefix(prefix) {
+      await remove((await list(prefix)).map((object) => object.key));
+    },
+
+    async getSignedUrl(key, { expiresIn, fileName } = {}) {
+      const { data, error } = await objects().createSignedUrl(key, expiresIn, { download: fileName || true });
+      if (error) {
+        throw new Error(`Failed to sign ${key}: ${error.message}`);
+      }
+      return data.signedUrl;
+    }
+  };
+}
@@ -0,0 +1,40 @@
+import dotenv from 'dotenv';
+import { createClient } from '@supabase/supabase-js';
+import ws from 'ws';
+
+dotenv.config();
+
+// Shared Supabase client for the server and API routes
+// (ws transport: Node < 22 has no native WebSocket for Realtime)
+export const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_KEY,
+  { realtime: { transport: ws } }
+);
+
+/**
+ * Resolve the authenticated user from the request's Bearer token
+ * @param {import('express').Request} req - Express request
+ * @returns {Promise<Object|null>} Supabase user or null for anonymous requests
+ */
+export async function getRequestUser(req) {
+  const authHeader = req.headers.authorization || '';
+  const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+
+  return getTokenUser(token);
+}
+
+/**
+ * Resolve the user an access token belongs to
+ * For clients that cannot send headers, such as browser WebSockets.
+ * @param {string|null} token - Supabase access token
+ * @returns {Promise<Object|null>} Supabase user or null when the token is missing or invalid
+ */
+export async function getTokenUser(token) {
+  if (!token) return null;
+
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error) return null;
+
+  return data?.user || null;
+}
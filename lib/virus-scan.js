@@ -0,0 +1,146 @@
+import net from 'net';
+import path from 'path';
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import { storeFile } from './storage.js/file-storage.js';
+
+// clamd connection: a Unix socket when CLAMD_SOCKET is set, TCP otherwise
+const CLAMD_SOCKET = process.env.CLAMD_SOCKET || null;
+const CLAMD_HOST = process.env.CLAMD_HOST || '127.0.0.1';
+const CLAMD_PORT = parseInt(process.env.CLAMD_PORT || '3310', 10);
+const CLAMD_TIMEOUT = parseInt(process.env.CLAMD_TIMEOUT || '60000', 10);
+
+// What to do when the scanner cannot give an answer (daemon down, timeout, file over its size limit):
+// 'closed' rejects the upload, 'open' accepts it unscanned
+const SCAN_FAIL_MODE = process.env.VIRUS_SCAN_FAIL_MODE === 'open' ? 'open' : 'closed';
+
+// Largest file clamd accepts over INSTREAM; keep it equal to StreamMaxLength in clamd.conf.
+// clamd defaults to 25MB, far below the upload limits, so raise both to the largest upload
+// to be scanned (clamd caps StreamMaxLength just under 4GB; bigger files can never be scanned).
+export const SCAN_MAX_SIZE = parseInt(process.env.CLAMD_STREAM_MAX_LENGTH || String(25 * 1024 * 1024), 10);
+
+// clamd expects INSTREAM data in length-prefixed chunks
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Scan a stored upload and apply the fail-open/fail-closed policy
+ * @param {string} filePath - File to scan
+ * @returns {Promise<Object>} { status: 'clean' }, { status: 'infected', signature },
+ *   { status: 'unscanned', error } (fail-open), or when fail-closed { status: 'too-large', error }
+ *   for files over the scanner's size limit and { status: 'failed', error } otherwise
+ */
+export async function scanUpload(filePath) {
+  try {
+    const { size } = await fs.stat(filePath);
+    if (size > SCAN_MAX_SIZE) {
+      throw sizeLimitError(SCAN_MAX_SIZE);
+    }
+
+    const signature = await scanFile(filePath);
+    return signature ? { status: 'infected', signature } : { status: 'clean' };
+  } catch (error) {
+    console.error(`Virus scan of ${path.basename(filePath)} failed:`, error.message);
+
+    if (SCAN_FAIL_MODE === 'open') {
+      return { status: 'unscanned', error: error.message };
+    }
+    return { status: error.code === 'SCAN_SIZE_LIMIT' ? 'too-large' : 'failed', error: error.message };
+  }
+}
+
+/**
+ * Stream a file to clamd with the INSTREAM command
+ * @param {string} filePath - File to scan
+ * @returns {Promise<string|null>} Signature name when the file is infected, null when clean
+ * @throws {Error} When clamd cannot be reached or reports an error
+ */
+export function scanFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const socket = CLAMD_SOCKET
+      ? net.createConnection(CLAMD_SOCKET)
+      : net.createConnection(CLAMD_PORT, CLAMD_HOST);
+    const input = createReadStream(filePath, { highWaterMark: CHUNK_SIZE });
+    let reply = '';
+    let sent = 0;
+    let settled = false;
+
+    const finish = (error, result) => {
+      if (settled) return;
+      settled = true;
+      input.destroy();
+      socket.destroy();
+      if (error) reject(error);
+      else resolve(result);
+    };
+
+    // "stream: OK", "stream: <signature> FOUND" or "<message> ERROR", terminated by a NUL byte
+    const settleReply = () => {
+      const answer = reply.replace(/\0/g, '').trim();
+      const found = answer.match(/^stream: (.+) FOUND$/);
+
+      if (answer === 'stream: OK') {
+        finish(null, null);
+      } else if (found) {
+        finish(null, found[1]);
+      } else if (/size limit exceeded/i.test(answer)) {
+        finish(sizeLimitError());
+      } else {
+        finish(new Error(`Virus scanner error: ${answer || 'no reply'}`));
+      }
+    };
+
+    socket.setTimeout(CLAMD_TIMEOUT, () => finish(new Error('Virus scanner timed out')));
+    input.on('error', (error) => finish(error));
+
+    // clamd may answer and hang up before the upload is sent, e.g. when it exceeds StreamMaxLength
+    socket.on('error', (error) => {
+      if (reply) settleReply();
+      else if (sent > SCAN_MAX_SIZE) finish(sizeLimitError()); // Hung up before its reply arrived
+      else finish(new Error(`Virus scanner unavailable: ${error.message}`));
+    });
+
+    socket.on('connect', () => {
+      socket.write('zINSTREAM\0');
+
+      input.on('data', (chunk) => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(chunk.length);
+        sent += chunk.length;
+
+        // Wait for the socket to drain so large files are not buffered in memory
+        if (!socket.write(Buffer.concat([length, chunk]))) {
+          input.pause();
+          socket.once('drain', () => input.resume());
+        }
+      });
+
+      input.on('end', () => socket.write(Buffer.alloc(4))); // Zero-length chunk ends the stream
+    });
+
+    socket.on('data', (data) => {
+      reply += data.toString();
+      if (reply.includes('\0')) settleReply();
+    });
+
+    socket.on('end', settleReply);
+  });
+}
+
+// The file is larger than clamd will scan (StreamMaxLength); clamd's own refusal does not say its limit
+function sizeLimitError(limit = null) {
+  const error = new Error(`File is too large to be scanned for viruses${limit ? ` (limit ${formatMegabytes(limit)})` : ''}`);
+  error.code = 'SCAN_SIZE_LIMIT';
+  return error;
+}
+
+function formatMegabytes(bytes) {
+  return `${parseFloat((bytes / (1024 * 1024)).toFixed(1))}MB`;
+}
+
+/**
+ * Move an infected upload into quarantine storage, kept out of every other workflow
+ * @returns {Promise<string>} Storage key of the quarantined file
+ */
+export async function quarantineFile(filePath) {
+  return storeFile(`quarantine/${path.basename(filePath)}`, filePath);
+}
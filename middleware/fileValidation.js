@@ -1,35 +1,60 @@
-# File Validation Middleware for Convert Pro
-
-```javascript
-// middleware/fileValidation.js
-
 import { fileTypeFromBuffer } from 'file-type';
 import crypto from 'crypto';
+import fs from 'fs/promises';
+import sharp from 'sharp';
+import {
+  findConverter,
+  getFormatCatalog,
+  getInputCategory,
+  getSupportedOutputs
+} from '../lib/converters.js/conversion-engine.js';
+import { inspectArchive } from '../lib/converters.js/archive-repack.js';
 
-// Supported file formats configuration
-export const SUPPORTED_FORMATS = {
-  images: {
-    input: ['jpg', 'jpeg', 'png', 'gif', 'bmp', 'webp', 'svg', 'tiff'],
-    output: ['jpg', 'jpeg', 'png', 'webp', 'gif', 'bmp', 'svg', 'pdf']
-  },
-  documents: {
-    input: ['pdf', 'docx', 'doc', 'txt', 'rtf', 'odt'],
-    output: ['pdf', 'docx', 'txt', 'jpg', 'png']
-  },
-  audio: {
-    input: ['mp3', 'wav', 'flac', 'm4a', 'aac', 'ogg', 'wma'],
-    output: ['mp3', 'wav', 'flac', 'm4a', 'aac', 'ogg']
-  },
-  video: {
-    input: ['mp4', 'avi', 'mov', 'mkv', 'webm', 'flv', '3gp'],
-    output: ['mp4', 'avi', 'mov', 'webm', 'gif', 'mp3'] // mp3 for audio extraction
-  },
-  archives: {
-    input: ['zip', 'rar', '7z', 'tar', 'gz'],
-    output: ['zip', '7z', 'tar']
-  }
+// Supported formats by category, derived from the converter registry
+export const SUPPORTED_FORMATS = getFormatCatalog().categories;
+
+// Bytes needed from the start of a file for type detection
+export const FILE_HEADER_SIZE = 4100;
+
+// Strict mode rejects type mismatches, polyglots, oversized images and archive bombs;
+// with FILE_VALIDATION_STRICT=false mismatches are only logged and content is not inspected
+export const STRICT_VALIDATION = process.env.FILE_VALIDATION_STRICT !== 'false';
+
+// Largest decoded image accepted, in pixels across all frames
+export const MAX_IMAGE_PIXELS = parseInt(process.env.IMAGE_MAX_PIXELS) || 200 * 1000 * 1000;
+
+// Types file-type may detect for each extension, where they differ from the extension itself
+// (aliases, container variants, and ZIP-based documents detected as plain ZIP or the reverse)
+const TYPE_ALIASES = {
+  jpeg: ['jpg'],
+  png: ['apng'],
+  tiff: ['tif'],
+  svg: ['xml'],
+  mp4: ['m4v', 'mov'],
+  mov: ['mp4'],
+  m4a: ['mp4'],
+  mkv: ['webm'],
+  ogg: ['oga', 'opus', 'ogv'],
+  wma: ['asf'],
+  doc: ['cfb'],
+  gz: ['tar.gz'],
+  docx: ['zip'],
+  odt: ['zip'],
+  zip: ['docx', 'xlsx', 'pptx', 'odt', 'ods', 'odp', 'epub']
 };
 
+// Formats file-type cannot recognize, which are accepted when nothing is detected
+const UNDETECTED_FORMATS = ['svg', 'txt'];
+
+// Formats that may legitimately contain markup or other files
+const CONTAINER_FORMATS = ['zip', 'tar', 'gz', '7z', 'rar', 'doc', 'docx', 'odt', 'pdf', 'svg', 'txt', 'rtf'];
+
+// Bytes read from each end of a file when looking for a second format
+const POLYGLOT_SCAN_SIZE = 64 * 1024;
+
+// Markup that browsers would run if a file were ever served as HTML
+const ACTIVE_CONTENT_PATTERN = /<(script|html|iframe|object|embed)[\s>]|<\?php/i;
+
 // File size limits (in bytes)
 export const SIZE_LIMITS = {
   free: {
@@ -50,38 +75,71 @@ export const SIZE_LIMITS = {
  * @returns {Object} Validation result
  */
 export async function validateFile(buffer, originalName, userPlan = 'free') {
+  // Basic validations
+  if (!buffer || buffer.length === 0) {
+    return {
+      valid: false,
+      error: 'File is empty or corrupted'
+    };
+  }
+
+  const validation = await validateFileHeader(buffer, originalName, buffer.length, userPlan);
+  if (!validation.valid) {
+    return validation;
+  }
+
+  // Calculate file hash for deduplication (sha256, since cached results are shared across users)
+  const fileHash = crypto.createHash('sha256').update(buffer).digest('hex');
+
+  return {
+    ...validation,
+    hash: fileHash
+  };
+}
+
+/**
+ * Validate a file from its declared size and first bytes, without the full content
+ * (used by chunked uploads; the hash is computed separately as chunks arrive)
+ * @param {Buffer|null} header - First bytes of the file, or null to skip type detection
+ * @param {string} originalName - Original filename
+ * @param {number} size - Total file size in bytes
+ * @param {string} userPlan - User plan (free/pro)
+ * @returns {Object} Validation result
+ */
+export async function validateFileHeader(header, originalName, size, userPlan = 'free') {
   try {
-    // Basic validations
-    if (!buffer || buffer.length === 0) {
+    if (!size) {
       throw new Error('File is empty or corrupted');
     }
 
     // File size validation
     const sizeLimit = SIZE_LIMITS[userPlan].max;
-    if (buffer.length > sizeLimit) {
+    if (size > sizeLimit) {
       throw new Error(`File size exceeds limit. Max allowed: ${formatFileSize(sizeLimit)}`);
     }
 
     // File type detection using buffer analysis
-    const fileType = await fileTypeFromBuffer(buffer);
+    const fileType = header ? await fileTypeFromBuffer(header) : undefined;
     const extension = getFileExtension(originalName).toLowerCase();
     
-    // Validate file type matches extension
-    if (fileType && fileType.ext !== extension) {
-      console.warn(`File extension mismatch: ${extension} vs detected ${fileType.ext}`);
-    }
-
     // Check if format is supported
-    const category = getFileCategory(extension);
+    const category = getInputCategory(extension);
     if (!category) {
       throw new Error(`Unsupported file format: ${extension}`);
     }
 
+    // Validate file type matches extension
+    if (header && !matchesExtension(fileType, extension)) {
+      const detected = fileType ? fileType.ext.toUpperCase() : 'an unrecognized type';
+
+      if (STRICT_VALIDATION) {
+        throw new Error(`File content is ${detected}, which does not match its .${extension} extension`);
+      }
+      console.warn(`File extension mismatch: ${extension} vs detected ${fileType?.ext || 'unknown'}`);
+    }
+
     // Generate secure filename
     const secureFileName = generateSecureFileName(originalName);
-    
-    // Calculate file hash for deduplication
-    const fileHash = crypto.createHash('md5').update(buffer).digest('hex');
 
     return {
       valid: true,
@@ -89,11 +147,11 @@ export async function validateFile(buffer, originalName, userPlan = 'free') {
       secureFileName,
       extension,
       category,
-      size: buffer.length,
-      sizeFormatted: formatFileSize(buffer.length),
+      size,
+      sizeFormatted: formatFileSize(size),
       mimeType: fileType?.mime || `application/${extension}`,
-      hash: fileHash,
-      supportedOutputs: SUPPORTED_FORMATS[category].output
+      detectedType: fileType?.ext || null,
+      supportedOutputs: getSupportedOutputs(extension)
     };
 
   } catch (error) {
@@ -105,15 +163,112 @@ export async function validateFile(buffer, originalName, userPlan = 'free') {
 }
 
 /**
- * Get file category based on extension
+ * Inspect the full content of a stored upload (strict mode only)
+ * Rejects polyglots, images whose decoded size exceeds MAX_IMAGE_PIXELS and archive bombs.
+ * @param {string} filePath - Path of the stored upload
+ * @param {Object} validation - Result of validateFile or validateFileHeader
+ * @returns {Promise<Object>} { valid: true } or { valid: false, error }
  */
-function getFileCategory(extension) {
-  for (const [category, formats] of Object.entries(SUPPORTED_FORMATS)) {
-    if (formats.input.includes(extension)) {
-      return category;
+export async function validateFileContent(filePath, validation) {
+  if (!STRICT_VALIDATION) {
+    return { valid: true };
+  }
+
+  try {
+    const { extension, category } = validation;
+
+    await checkPolyglot(filePath, extension);
+
+    if (category === 'images') {
+      await checkImageDimensions(filePath);
+    } else if (category === 'archives') {
+      await inspectArchive(filePath, extension);
+    }
+
+    return { valid: true };
+
+  } catch (error) {
+    return {
+      valid: false,
+      error: error.message
+    };
+  }
+}
+
+function matchesExtension(fileType, extension) {
+  if (!fileType) {
+    return UNDETECTED_FORMATS.includes(extension);
+  }
+  return fileType.ext === extension || Boolean(TYPE_ALIASES[extension]?.includes(fileType.ext));
+}
+
+// A polyglot is valid as two formats at once, e.g. an image that is also a ZIP,
+// PDF or HTML page, and can be handed to whichever parser is most useful to an attacker
+async function checkPolyglot(filePath, extension) {
+  const handle = await fs.open(filePath, 'r');
+  let head;
+  let tail;
+  let size;
+
+  try {
+    ({ size } = await handle.stat());
+    head = Buffer.alloc(Math.min(size, POLYGLOT_SCAN_SIZE));
+    tail = Buffer.alloc(Math.min(size, POLYGLOT_SCAN_SIZE));
+    await handle.read(head, 0, head.length, 0);
+    await handle.read(tail, 0, tail.length, size - tail.length);
+  } finally {
+    await handle.close();
+  }
+
+  // PDF readers accept a header anywhere in the first kilobyte
+  if (extension !== 'pdf' && head.subarray(0, 1024).includes('%PDF-')) {
+    throw new Error('File is also a PDF document (polyglot file)');
+  }
+
+  // ZIP readers start from the end-of-central-directory record at the end of the file
+  if (!CONTAINER_FORMATS.includes(extension) && hasZipDirectory(tail)) {
+    throw new Error('File has a ZIP archive appended (polyglot file)');
+  }
+
+  if (!CONTAINER_FORMATS.includes(extension)
+    && (ACTIVE_CONTENT_PATTERN.test(head.toString('latin1')) || ACTIVE_CONTENT_PATTERN.test(tail.toString('latin1')))) {
+    throw new Error('File contains embedded HTML or script (polyglot file)');
+  }
+}
+
+// An end-of-central-directory record whose comment runs exactly to the end of the file
+function hasZipDirectory(tail) {
+  const signature = Buffer.from([0x50, 0x4b, 0x05, 0x06]);
+  let offset = tail.lastIndexOf(signature);
+
+  while (offset >= 0) {
+    if (offset + 22 <= tail.length && offset + 22 + tail.readUInt16LE(offset + 20) === tail.length) {
+      return true;
     }
+    offset = offset > 0 ? tail.lastIndexOf(signature, offset - 1) : -1;
+  }
+
+  return false;
+}
+
+// Decoded size from the header only, before anything allocates the pixels
+async function checkImageDimensions(filePath) {
+  let metadata;
+
+  try {
+    metadata = await sharp(filePath, { limitInputPixels: false }).metadata();
+  } catch (error) {
+    throw new Error(`Image could not be read: ${error.message}`);
+  }
+
+  const frameHeight = metadata.pageHeight || metadata.height;
+  const pixels = metadata.width * frameHeight * (metadata.pages || 1);
+
+  if (pixels > MAX_IMAGE_PIXELS) {
+    throw new Error(`Image is too large: ${metadata.width}x${frameHeight}`
+      + (metadata.pages > 1 ? ` x ${metadata.pages} frames` : '')
+      + ` exceeds the ${Math.round(MAX_IMAGE_PIXELS / 1000000)} megapixel limit`);
   }
-  return null;
 }
 
 /**
@@ -152,74 +307,5 @@ function formatFileSize(bytes) {
  * Check if conversion is supported
  */
 export function isConversionSupported(fromFormat, toFormat) {
-  const category = getFileCategory(fromFormat.toLowerCase());
-  if (!category) return false;
-  
-  return SUPPORTED_FORMATS[category].output.includes(toFormat.toLowerCase());
-}
-
-/**
- * Virus scanning (basic implementation)
- * In production, integrate with ClamAV or similar
- */
-export async function basicVirusScan(buffer) {
-  // Check for common malware signatures
-  const malwareSignatures = [
-    '4d5a90', // PE executable header
-    '504b03', // ZIP bomb patterns
-    '255044462d' // Malicious PDF patterns
-  ];
-  
-  const fileHex = buffer.toString('hex', 0, 100).toLowerCase();
-  
-  for (const signature of malwareSignatures) {
-    if (fileHex.includes(signature)) {
-      console.warn('Suspicious file detected:', signature);
-      // In production, reject or quarantine file
-    }
-  }
-  
-  return true; // Safe for now
-}
-```
-
-## Usage Example:
-
-```javascript
-// In your API route
-import { validateFile, basicVirusScan } from '@/middleware/fileValidation';
-
-export default async function handler(req, res) {
-  try {
-    const file = req.file; // from multer
-    const userPlan = req.user?.plan || 'free';
-    
-    // Validate file
-    const validation = await validateFile(file.buffer, file.originalname, userPlan);
-    
-    if (!validation.valid) {
-      return res.status(400).json({ error: validation.error });
-    }
-    
-    // Basic virus scan
-    await basicVirusScan(file.buffer);
-    
-    // File is valid and safe to process
-    res.json({ 
-      message: 'File validated successfully',
-      fileInfo: validation
-    });
-    
-  } catch (error) {
-    res.status(500).json({ error: 'File validation failed' });
-  }
+  return findConverter(fromFormat, toFormat) !== null;
 }
-```
-
-This middleware provides:
-- âœ… **Comprehensive format support** (50+ formats)
-- âœ… **Size validation** (2GB free, 100GB pro)
-- âœ… **Security scanning** (basic malware detection)
-- âœ… **File type verification** (prevents spoofing)
-- âœ… **Secure filename generation**
-- âœ… **Deduplication support** (via file hashing)
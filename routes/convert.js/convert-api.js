@@ -1,216 +1,536 @@
-# File Conversion API for Convert Pro
+import express from 'express';
+import { WebSocketServer } from 'ws';
+import path from 'path';
+import {
+  cleanupTempFiles,
+  validateCombine,
+  validateConversion,
+  MAX_COMBINE_INPUTS
+} from '../../lib/converters.js/conversion-engine.js';
+import { enqueueJob, getJob } from '../../lib/job-queue.js';
+import { subscribeToProgress, TERMINAL_EVENTS } from '../../lib/progress-events.js';
+import {
+  createBatch,
+  getBatch,
+  getBatchChannelId,
+  recordBatchItem,
+  summarizeBatch,
+  MAX_BATCH_SIZE
+} from '../../lib/conversion-batches.js';
+import { supabase, getRequestUser, getTokenUser } from '../../lib/supabase.js';
+import { storage, removeStored, cleanupStoredFiles } from '../../lib/storage.js/file-storage.js';
+import { cleanupExpiredPreviews } from '../../lib/previews.js';
+import { cleanupExpiredUploads } from '../upload.js/tus-upload-api.js';
 
-```javascript
-// app/api/convert/route.js
+const router = express.Router();
 
-import { NextRequest, NextResponse } from 'next/server';
-import { convertFile, cleanupTempFiles } from '@/lib/converters';
-import { createClientComponentClient } from '@supabase/auth-helpers-nextjs';
-import { isConversionSupported } from '@/middleware/fileValidation';
-import path from 'path';
-import fs from 'fs/promises';
+// Interval of keep-alive comments/pings on progress streams
+const KEEP_ALIVE_INTERVAL = 15 * 1000;
 
 /**
  * POST /api/convert
- * Convert uploaded file to target format
+ * Queue conversion of an uploaded file to target format
  */
-export async function POST(request) {
+router.post('/', async (req, res) => {
   try {
     // Parse request body
-    const { fileId, targetFormat, options = {} } = await request.json();
-    
+    const { fileId, targetFormat, options = {} } = req.body || {};
+
     if (!fileId || !targetFormat) {
-      return NextResponse.json(
-        { error: 'fileId and targetFormat are required' },
-        { status: 400 }
-      );
+      return res.status(400).json({ error: 'fileId and targetFormat are required' });
     }
-    
+
     // Get user authentication
-    const supabase = createClientComponentClient();
-    const { data: { user } } = await supabase.auth.getUser();
-    
+    const user = await getRequestUser(req);
+
     // Fetch file metadata from database
     const { data: fileMetadata, error: fetchError } = await supabase
       .from('file_uploads')
       .select('*')
       .eq('id', fileId)
       .single();
-      
+
     if (fetchError || !fileMetadata) {
-      return NextResponse.json(
-        { error: 'File not found or access denied' },
-        { status: 404 }
-      );
+      return res.status(404).json({ error: 'File not found or access denied' });
     }
-    
-    // Verify user has access to this file
-    if (fileMetadata.user_id && fileMetadata.user_id !== user?.id) {
-      return NextResponse.json(
-        { error: 'Access denied' },
-        { status: 403 }
-      );
+
+    const { conversion, status, error } = await checkConvertible(fileMetadata, user, targetFormat, options);
+    if (error) {
+      return res.status(status).json({ error });
     }
-    
-    // Check if conversion is supported
-    const inputFormat = path.extname(fileMetadata.original_name).slice(1).toLowerCase();
-    if (!isConversionSupported(inputFormat, targetFormat)) {
-      return NextResponse.json(
-        { error: `Conversion from ${inputFormat} to ${targetFormat} is not supported` },
-        { status: 400 }
-      );
+
+    // Mark the file queued before a worker can pick the job up
+    if (!await markQueued(fileId)) {
+      return res.status(409).json({ error: 'A conversion for this file is already in progress' });
     }
-    
-    // Check if file still exists
+
+    // Queue the conversion for the worker pool
+    const userPlan = user?.user_metadata?.plan || 'free';
+    let job;
     try {
-      await fs.access(fileMetadata.temp_path);
-    } catch {
-      return NextResponse.json(
-        { error: 'Source file no longer available. Please upload again.' },
-        { status: 410 }
-      );
+      job = await enqueueJob({
+        fileId,
+        userId: user?.id || null,
+        targetFormat: String(targetFormat).toLowerCase(),
+        options: conversion.options,
+        priority: userPlan === 'pro' ? 10 : 0
+      });
+    } catch (error) {
+      await restoreStatus(fileId, fileMetadata.status);
+      throw error;
     }
-    
-    // Update status to 'converting'
-    await supabase
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      conversionId: fileId,
+      status: job.status,
+      conversionPath: conversion.path,
+      statusUrl: `/api/convert/jobs/${job.id}`,
+      progressUrl: `/api/convert/progress/${fileId}`,
+      message: 'Conversion queued'
+    });
+
+  } catch (error) {
+    console.error('Conversion API error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/convert/batch
+ * Queue conversion of many uploaded files to one target format. Files that
+ * cannot be converted are reported per item; the rest are queued together and
+ * bundled into one ZIP when the last of them finishes.
+ */
+router.post('/batch', async (req, res) => {
+  try {
+    const { fileIds, targetFormat, options = {} } = req.body || {};
+
+    if (!Array.isArray(fileIds) || fileIds.length === 0 || !targetFormat) {
+      return res.status(400).json({ error: 'fileIds (a non-empty array) and targetFormat are required' });
+    }
+
+    const uniqueIds = [...new Set(fileIds.map(String))];
+    if (uniqueIds.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({ error: `A batch can contain at most ${MAX_BATCH_SIZE} files` });
+    }
+
+    // Get user authentication
+    const user = await getRequestUser(req);
+    const userPlan = user?.user_metadata?.plan || 'free';
+
+    // Fetch every file in one query (malformed ids would fail the whole query)
+    const { data: files, error: fetchError } = await supabase
       .from('file_uploads')
-      .update({ 
-        status: 'converting',
-        conversion_started_at: new Date().toISOString()
-      })
-      .eq('id', fileId);
-    
-    // Start conversion with progress tracking
-    const conversionId = `conversion_${fileId}`;
-    
+      .select('*')
+      .in('id', uniqueIds.filter((id) => UUID_PATTERN.test(id)));
+
+    if (fetchError) {
+      throw fetchError;
+    }
+
+    const filesById = new Map(files.map((file) => [file.id, file]));
+    const accepted = [];
+    const rejected = [];
+
+    for (const fileId of uniqueIds) {
+      const fileMetadata = filesById.get(fileId);
+      if (!fileMetadata) {
+        rejected.push({ fileId, error: 'File not found or access denied' });
+        continue;
+      }
+
+      const { conversion, error } = await checkConvertible(fileMetadata, user, targetFormat, options);
+      if (error) {
+        rejected.push({ fileId, error });
+      } else {
+        accepted.push({ fileId, conversion, status: fileMetadata.status });
+      }
+    }
+
+    // Claim each file the way POST / does, so a file that is already queued or converting gets no second job
+    const claimed = [];
+
+    for (const item of accepted) {
+      if (await markQueued(item.fileId)) {
+        claimed.push(item);
+      } else {
+        rejected.push({ fileId: item.fileId, error: 'A conversion for this file is already in progress' });
+      }
+    }
+
+    if (claimed.length === 0) {
+      return res.status(400).json({
+        error: 'None of the files can be converted',
+        items: rejected.map((item) => ({ ...item, status: 'rejected' }))
+      });
+    }
+
+    let batch;
     try {
-      const result = await convertFile(
-        fileMetadata.temp_path,
-        targetFormat,
-        {
-          quality: options.quality || 90,
-          width: options.width,
-          height: options.height,
-          resize: options.resize || 'fit',
-          ...options
-        },
-        (progress, message) => {
-          // Store progress in database for real-time updates
-          updateConversionProgress(supabase, fileId, progress, message);
-        }
-      );
-      
-      // Get file size of converted file
-      const stats = await fs.stat(result.outputPath);
-      const outputSize = stats.size;
-      
-      // Update database with successful conversion
-      const { data: conversionRecord } = await supabase
-        .from('file_uploads')
-        .update({
-          status: 'completed',
-          output_path: result.outputPath,
-          output_filename: result.outputFileName,
-          output_format: targetFormat,
-          output_size: outputSize,
-          conversion_completed_at: new Date().toISOString(),
-          conversion_options: options
-        })
-        .eq('id', fileId)
-        .select()
-        .single();
-      
-      // Generate secure download URL (expires in 24 hours)
-      const downloadToken = await generateDownloadToken(fileId, result.outputPath);
-      
-      return NextResponse.json({
-        success: true,
-        conversionId: fileId,
-        downloadUrl: `/api/download/${downloadToken}`,
-        fileInfo: {
-          originalName: fileMetadata.original_name,
-          originalSize: fileMetadata.size,
-          outputFormat: targetFormat,
-          outputSize: outputSize,
-          outputSizeFormatted: formatFileSize(outputSize),
-          compressionRatio: ((fileMetadata.size - outputSize) / fileMetadata.size * 100).toFixed(1)
-        },
-        message: 'File converted successfully'
+      batch = await createBatch({
+        userId: user?.id || null,
+        targetFormat: String(targetFormat).toLowerCase(),
+        options,
+        total: uniqueIds.length,
+        rejected
       });
-      
-    } catch (conversionError) {
-      console.error('Conversion failed:', conversionError);
-      
-      // Update status to failed
-      await supabase
-        .from('file_uploads')
-        .update({ 
-          status: 'failed',
-          error_message: conversionError.message,
-          conversion_completed_at: new Date().toISOString()
-        })
-        .eq('id', fileId);
-      
-      return NextResponse.json(
-        { error: `Conversion failed: ${conversionError.message}` },
-        { status: 500 }
-      );
+    } catch (error) {
+      for (const { fileId, status } of claimed) {
+        await restoreStatus(fileId, status);
+      }
+      throw error;
+    }
+
+    const items = [];
+
+    for (const { fileId, conversion } of claimed) {
+      try {
+        const job = await enqueueJob({
+          fileId,
+          userId: user?.id || null,
+          targetFormat: String(targetFormat).toLowerCase(),
+          options: conversion.options,
+          priority: userPlan === 'pro' ? 10 : 0,
+          batchId: batch.id
+        });
+
+        items.push({
+          fileId,
+          jobId: job.id,
+          status: job.status,
+          conversionPath: conversion.path,
+          progressUrl: `/api/convert/progress/${fileId}`
+        });
+
+      } catch (error) {
+        console.error(`Failed to queue batch item ${fileId}:`, error);
+
+        // Count it as failed so the batch can still finish
+        await supabase
+          .from('file_uploads')
+          .update({ status: 'failed', error_message: 'Failed to queue conversion' })
+          .eq('id', fileId);
+        await recordBatchItem(batch.id, false);
+
+        items.push({ fileId, jobId: null, status: 'failed', error: 'Failed to queue conversion' });
+      }
     }
-    
+
+    res.status(202).json({
+      success: true,
+      batchId: batch.id,
+      status: batch.status,
+      total: batch.total,
+      queued: items.filter((item) => item.jobId).length,
+      rejected: rejected.length,
+      items: [...items, ...rejected.map((item) => ({ ...item, status: 'rejected' }))],
+      statusUrl: `/api/convert/batches/${batch.id}`,
+      progressUrl: `/api/convert/batches/${batch.id}/stream`,
+      message: 'Batch queued'
+    });
+
   } catch (error) {
-    console.error('Conversion API error:', error);
-    return NextResponse.json(
-      { error: 'Internal server error' },
-      { status: 500 }
-    );
+    console.error('Batch conversion API error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
-}
+});
+
+/**
+ * POST /api/convert/combine
+ * Queue one conversion that combines several uploaded files, in the order
+ * given, into a single output (e.g. images and PDFs into one PDF). Progress
+ * and the result are reported on the first file.
+ */
+router.post('/combine', async (req, res) => {
+  try {
+    const { fileIds, targetFormat = 'pdf', options = {} } = req.body || {};
+
+    if (!Array.isArray(fileIds) || fileIds.length < 2) {
+      return res.status(400).json({ error: 'fileIds must list at least two files, in output order' });
+    }
+
+    if (fileIds.length > MAX_COMBINE_INPUTS) {
+      return res.status(400).json({ error: `At most ${MAX_COMBINE_INPUTS} files can be combined` });
+    }
+
+    // Get user authentication
+    const user = await getRequestUser(req);
+    const userPlan = user?.user_metadata?.plan || 'free';
+
+    // A file may appear more than once; fetch each one once
+    const orderedIds = fileIds.map(String);
+    const { data: files, error: fetchError } = await supabase
+      .from('file_uploads')
+      .select('*')
+      .in('id', [...new Set(orderedIds)].filter((id) => UUID_PATTERN.test(id)));
+
+    if (fetchError) {
+      throw fetchError;
+    }
+
+    const filesById = new Map(files.map((file) => [file.id, file]));
+
+    for (const [index, fileId] of orderedIds.entries()) {
+      const fileMetadata = filesById.get(fileId);
+      if (!fileMetadata) {
+        return res.status(404).json({ error: `File ${index + 1} not found or access denied` });
+      }
+
+      const { status, error } = await checkSourceFile(fileMetadata, user);
+      if (error) {
+        return res.status(status).json({ error: `File ${index + 1}: ${error}` });
+      }
+    }
+
+    const primary = filesById.get(orderedIds[0]);
+
+    const inputFormats = orderedIds.map((id) => path.extname(filesById.get(id).original_name).slice(1).toLowerCase());
+    const combination = validateCombine(inputFormats, targetFormat, options);
+    if (!combination.valid) {
+      return res.status(400).json({ error: combination.error });
+    }
+
+    // The combined output is recorded on the first file, so it is claimed before a worker can pick the job up
+    if (!await markQueued(primary.id)) {
+      return res.status(409).json({ error: 'A conversion for the first file is already in progress' });
+    }
+
+    let job;
+    try {
+      job = await enqueueJob({
+        fileId: primary.id,
+        userId: user?.id || null,
+        targetFormat: String(targetFormat).toLowerCase(),
+        options: combination.options,
+        priority: userPlan === 'pro' ? 10 : 0,
+        inputFileIds: orderedIds
+      });
+    } catch (error) {
+      await restoreStatus(primary.id, primary.status);
+      throw error;
+    }
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      conversionId: primary.id,
+      status: job.status,
+      inputs: orderedIds.length,
+      statusUrl: `/api/convert/jobs/${job.id}`,
+      progressUrl: `/api/convert/progress/${primary.id}`,
+      message: 'Combine queued'
+    });
+
+  } catch (error) {
+    console.error('Combine API error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/convert/batches/:batchId
+ * Overall batch state, per-item progress and failures, and the bundle download URL
+ */
+router.get('/batches/:batchId', async (req, res) => {
+  try {
+    const user = await getRequestUser(req);
+    const result = UUID_PATTERN.test(req.params.batchId) ? await getBatch(req.params.batchId) : null;
+
+    if (!result) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const { batch, items } = result;
+
+    // Verify user has access to this batch
+    if (batch.user_id && batch.user_id !== user?.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // Items still running count with their live progress
+    const progress = Math.round(items.reduce((sum, item) =>
+      sum + (['completed', 'failed', 'rejected'].includes(item.status) ? 100 : item.progress), 0) / batch.total);
+
+    res.json({
+      ...summarizeBatch(batch),
+      progress,
+      targetFormat: batch.target_format,
+      createdAt: batch.created_at,
+      completedAt: batch.completed_at,
+      items
+    });
+
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get batch status' });
+  }
+});
+
+/**
+ * GET /api/convert/batches/:batchId/stream
+ * Stream batch progress as Server-Sent Events (one event per finished item)
+ */
+router.get('/batches/:batchId/stream', async (req, res) => {
+  const { batchId } = req.params;
+
+  if (!UUID_PATTERN.test(batchId)) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+
+  const user = await getRequestUser(req);
+  const access = await checkOwner('conversion_batches', batchId, user, 'Batch not found');
+  if (access.error) {
+    return res.status(access.status).json({ error: access.error });
+  }
+
+  await streamProgressEvents(res, getBatchChannelId(batchId), () => getBatchSnapshot(batchId), user);
+});
 
 /**
  * GET /api/convert/progress/:fileId
  * Get real-time conversion progress
  */
-export async function GET(request) {
+router.get('/progress/:fileId', async (req, res) => {
   try {
-    const url = new URL(request.url);
-    const fileId = url.pathname.split('/').pop();
-    
+    const { fileId } = req.params;
+
     if (!fileId) {
-      return NextResponse.json(
-        { error: 'File ID required' },
-        { status: 400 }
-      );
+      return res.status(400).json({ error: 'File ID required' });
     }
-    
-    const supabase = createClientComponentClient();
-    
+
     // Get conversion progress from database
     const { data: fileData, error } = await supabase
       .from('file_uploads')
       .select('status, conversion_progress, conversion_message, error_message')
       .eq('id', fileId)
       .single();
-      
+
     if (error || !fileData) {
-      return NextResponse.json(
-        { error: 'Conversion not found' },
-        { status: 404 }
-      );
+      return res.status(404).json({ error: 'Conversion not found' });
     }
-    
-    return NextResponse.json({
+
+    res.json({
       fileId,
       status: fileData.status,
       progress: fileData.conversion_progress || 0,
       message: fileData.conversion_message || 'Preparing...',
       error: fileData.error_message
     });
-    
+
   } catch (error) {
-    return NextResponse.json(
-      { error: 'Failed to get progress' },
-      { status: 500 }
-    );
+    res.status(500).json({ error: 'Failed to get progress' });
+  }
+});
+
+/**
+ * GET /api/convert/progress/:fileId/stream
+ * Stream live conversion progress as Server-Sent Events
+ */
+router.get('/progress/:fileId/stream', async (req, res) => {
+  const { fileId } = req.params;
+
+  const user = await getRequestUser(req);
+  const access = await checkOwner('file_uploads', fileId, user, 'Conversion not found');
+  if (access.error) {
+    return res.status(access.status).json({ error: access.error });
+  }
+
+  await streamProgressEvents(res, fileId, () => getProgressSnapshot(fileId), user);
+});
+
+/**
+ * GET /api/convert/jobs/:jobId
+ * Get the state of a queued conversion job
+ */
+router.get('/jobs/:jobId', async (req, res) => {
+  try {
+    const user = await getRequestUser(req);
+    const job = await getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    // Verify user has access to this job
+    if (job.user_id && job.user_id !== user?.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({
+      jobId: job.id,
+      fileId: job.file_id,
+      status: job.status,
+      targetFormat: job.target_format,
+      attempts: job.attempts,
+      createdAt: job.created_at,
+      completedAt: job.completed_at,
+      error: job.status === 'failed' ? job.error_message : null,
+      ...(job.result || {})
+    });
+
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get job status' });
+  }
+});
+
+/**
+ * WebSocket /api/convert/progress/:fileId/ws?token=<access token>
+ * Same events as the SSE stream, one JSON message per event
+ * Browsers cannot set headers on WebSockets, so the access token comes in the query.
+ */
+export function attachProgressSocket(server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    const match = pathname.match(/^\/api\/convert\/progress\/([^/]+)\/ws$/);
+
+    if (!match) {
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      handleProgressSocket(ws, decodeURIComponent(match[1]), searchParams.get('token'));
+    });
+  });
+
+  return wss;
+}
+
+async function handleProgressSocket(ws, fileId, token) {
+  try {
+    const user = await getTokenUser(token);
+    const access = await checkOwner('file_uploads', fileId, user, 'Conversion not found');
+    if (access.error) {
+      ws.close(4000 + access.status, access.error);
+      return;
+    }
+
+    const close = await openProgressStream(fileId, () => getProgressSnapshot(fileId), user, {
+      open: () => {},
+      send: (event, payload) => {
+        if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(payload));
+      },
+      end: () => ws.close(1000, 'Conversion finished')
+    });
+
+    if (!close) {
+      ws.close(4404, 'Conversion not found');
+      return;
+    }
+
+    const keepAlive = setInterval(() => ws.ping(), KEEP_ALIVE_INTERVAL);
+
+    ws.on('close', () => {
+      clearInterval(keepAlive);
+      close();
+    });
+
+  } catch (error) {
+    console.error('Progress socket error:', error);
+    ws.close(1011, 'Failed to stream progress');
   }
 }
 
@@ -218,55 +538,266 @@ export async function GET(request) {
  * Helper Functions
  */
 
-// Update conversion progress in database
-async function updateConversionProgress(supabase, fileId, progress, message) {
+// Ids are UUIDs; anything else would make the database query fail
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check that an uploaded file can be queued for conversion
+ * @returns {Promise<Object>} { conversion } or { status, error }
+ */
+async function checkConvertible(fileMetadata, user, targetFormat, options) {
+  const unavailable = await checkSourceFile(fileMetadata, user);
+  if (unavailable.error) {
+    return unavailable;
+  }
+
+  // Only one conversion per file can be in flight
+  if (['queued', 'converting'].includes(fileMetadata.status)) {
+    return { status: 409, error: 'A conversion for this file is already in progress' };
+  }
+
+  // Check the conversion and its options against the converter registry
+  const inputFormat = path.extname(fileMetadata.original_name).slice(1).toLowerCase();
+  const conversion = validateConversion(inputFormat, targetFormat, options, {
+    pageCount: fileMetadata.media_info?.pageCount ?? null
+  });
+  if (!conversion.valid) {
+    return { status: 400, error: conversion.error };
+  }
+
+  return { conversion };
+}
+
+/**
+ * Set a file to 'queued' unless a conversion of it is already queued or running
+ * The check and the update are one statement, so two requests cannot both claim the file.
+ * @returns {Promise<boolean>} Whether the file was claimed
+ */
+async function markQueued(fileId) {
+  const { data, error } = await supabase
+    .from('file_uploads')
+    .update({
+      status: 'queued',
+      conversion_progress: 0,
+      conversion_message: 'Waiting in queue...',
+      error_message: null
+    })
+    .eq('id', fileId)
+    .not('status', 'in', '(queued,converting)')
+    .select('id');
+
+  if (error) {
+    throw error;
+  }
+
+  return data.length > 0;
+}
+
+// Give a claimed file back when its job could not be queued
+async function restoreStatus(fileId, status) {
+  const { error } = await supabase
+    .from('file_uploads')
+    .update({ status })
+    .eq('id', fileId);
+
+  if (error) {
+    console.error(`Failed to restore status of ${fileId}:`, error);
+  }
+}
+
+/**
+ * Check that a file_uploads or conversion_batches row exists and belongs to the user
+ * Rows without an owner are open to everyone, like the other file endpoints.
+ * @returns {Promise<Object>} {} or { status, error }
+ */
+async function checkOwner(table, id, user, notFoundError) {
+  const { data, error } = await supabase
+    .from(table)
+    .select('user_id')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error || !data) {
+    return { status: 404, error: notFoundError };
+  }
+
+  if (data.user_id && data.user_id !== user?.id) {
+    return { status: 403, error: 'Access denied' };
+  }
+
+  return {};
+}
+
+/**
+ * Check that the user may read an uploaded file and that it is still stored
+ * @returns {Promise<Object>} {} or { status, error }
+ */
+async function checkSourceFile(fileMetadata, user) {
+  // Verify user has access to this file
+  if (fileMetadata.user_id && fileMetadata.user_id !== user?.id) {
+    return { status: 403, error: 'Access denied' };
+  }
+
+  // Infected uploads stay in quarantine and are never converted
+  if (fileMetadata.status === 'quarantined') {
+    return { status: 422, error: `File was quarantined because malware was detected (${fileMetadata.threat_name || 'unknown threat'})` };
+  }
+
+  // Check if file still exists
+  if (!await storage.stat(fileMetadata.temp_path)) {
+    return { status: 410, error: 'Source file no longer available. Please upload again.' };
+  }
+
+  return {};
+}
+
+/**
+ * Serve a progress channel as Server-Sent Events
+ */
+async function streamProgressEvents(res, channelId, getSnapshot, user) {
   try {
-    await supabase
-      .from('file_uploads')
-      .update({
-        conversion_progress: progress,
-        conversion_message: message,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', fileId);
+    const close = await openProgressStream(channelId, getSnapshot, user, {
+      open: () => {
+        res.set({
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache, no-transform',
+          'Connection': 'keep-alive',
+          'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+        });
+        res.flushHeaders();
+      },
+      send: (event, payload) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+      },
+      end: () => res.end()
+    });
+
+    if (!close) {
+      return res.status(404).json({ error: 'Conversion not found' });
+    }
+
+    const keepAlive = setInterval(() => {
+      if (!res.writableEnded) res.write(': keep-alive\n\n');
+    }, KEEP_ALIVE_INTERVAL);
+
+    res.on('close', () => {
+      clearInterval(keepAlive);
+      close();
+    });
+
   } catch (error) {
-    console.error('Failed to update progress:', error);
+    console.error('Progress stream error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: 'Failed to stream progress' });
   }
 }
 
-// Generate secure download token
-async function generateDownloadToken(fileId, outputPath) {
-  const crypto = require('crypto');
-  const token = crypto.randomBytes(32).toString('hex');
-  
-  const supabase = createClientComponentClient();
-  
-  // Store download token with expiry
-  const expiresAt = new Date();
-  expiresAt.setHours(expiresAt.getHours() + 24); // 24 hours from now
-  
-  await supabase
-    .from('download_tokens')
-    .insert([{
-      token,
-      file_id: fileId,
-      file_path: outputPath,
-      expires_at: expiresAt.toISOString(),
-      created_at: new Date().toISOString()
-    }]);
-  
-  return token;
+/**
+ * Send the current state of a conversion (or batch), then forward live events
+ * until a terminal one arrives
+ * @param {string} channelId - fileId, or getBatchChannelId(batchId)
+ * @param {Function} getSnapshot - Resolves the current state shaped like an event, or null
+ * @param {Object|null} user - Listener; anonymous listeners get no download links
+ * @returns {Promise<Function|null>} Close function, or null if the conversion does not exist
+ */
+async function openProgressStream(channelId, getSnapshot, user, { open, send, end }) {
+  let closed = false;
+
+  const forward = (payload) => {
+    if (closed) return;
+    send(payload.event, user ? payload : withoutDownloadLinks(payload));
+    if (TERMINAL_EVENTS.includes(payload.event)) close();
+  };
+
+  // Subscribe before reading the snapshot so no event falls in between
+  const unsubscribe = subscribeToProgress(channelId, forward);
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    end();
+  };
+
+  const snapshot = await getSnapshot();
+
+  if (!snapshot) {
+    closed = true;
+    unsubscribe();
+    return null;
+  }
+
+  open();
+  forward(snapshot);
+
+  return close;
+}
+
+// Anyone who knows an id can follow an anonymous conversion, so links stay out of its events
+function withoutDownloadLinks({ downloadUrl, bundleUrl, ...payload }) {
+  return payload;
+}
+
+// Current progress of a conversion, shaped like a live event
+async function getProgressSnapshot(fileId) {
+  const { data: fileData, error } = await supabase
+    .from('file_uploads')
+    .select('status, conversion_progress, conversion_message, error_message')
+    .eq('id', fileId)
+    .single();
+
+  if (error || !fileData) return null;
+
+  if (fileData.status === 'completed') {
+    // The download URL lives on the job that produced the output
+    const { data: job } = await supabase
+      .from('conversion_jobs')
+      .select('id, result')
+      .eq('file_id', fileId)
+      .eq('status', 'completed')
+      .order('completed_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    return {
+      fileId,
+      event: 'completed',
+      jobId: job?.id,
+      status: 'completed',
+      progress: 100,
+      ...(job?.result || {})
+    };
+  }
+
+  if (fileData.status === 'failed') {
+    return {
+      fileId,
+      event: 'failed',
+      status: 'failed',
+      error: fileData.error_message
+    };
+  }
+
+  return {
+    fileId,
+    event: 'progress',
+    status: fileData.status,
+    progress: fileData.conversion_progress || 0,
+    message: fileData.conversion_message || 'Preparing...'
+  };
 }
 
-// Format file size
-function formatFileSize(bytes) {
-  if (bytes === 0) return '0 Bytes';
-  
-  const k = 1024;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+// Current state of a batch, shaped like a live event
+async function getBatchSnapshot(batchId) {
+  const result = await getBatch(batchId);
+  if (!result) return null;
+
+  const summary = summarizeBatch(result.batch);
+  const event = result.batch.completed_at
+    ? (summary.status === 'failed' ? 'failed' : 'completed')
+    : 'progress';
+
+  return { event, ...summary };
 }
 
 /**
@@ -276,133 +807,76 @@ export async function runCleanup() {
   try {
     // Clean up old temporary files
     await cleanupTempFiles();
-    
+
+    // Clean up stored files that outlived their links, wherever they are stored
+    await cleanupStoredFiles();
+
+    // Clean up abandoned resumable uploads
+    await cleanupExpiredUploads();
+
+    // Clean up expired preview tokens and their files
+    await cleanupExpiredPreviews();
+
     // Clean up expired download tokens
-    const supabase = createClientComponentClient();
-    
     const { data: expiredTokens } = await supabase
       .from('download_tokens')
       .select('file_path')
       .lt('expires_at', new Date().toISOString());
-      
+
     // Delete expired files
     if (expiredTokens) {
       for (const token of expiredTokens) {
         try {
-          await fs.unlink(token.file_path);
+          await removeStored(token.file_path);
         } catch (error) {
           console.error('Failed to delete expired file:', error);
         }
       }
-      
+
       // Remove expired tokens from database
       await supabase
         .from('download_tokens')
         .delete()
         .lt('expires_at', new Date().toISOString());
     }
-    
+
     console.log('Cleanup completed successfully');
   } catch (error) {
     console.error('Cleanup failed:', error);
   }
 }
-```
-
-## Additional Database Tables:
-
-```sql
--- Download tokens table
-CREATE TABLE download_tokens (
-  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-  token TEXT UNIQUE NOT NULL,
-  file_id UUID REFERENCES file_uploads(id) ON DELETE CASCADE,
-  file_path TEXT NOT NULL,
-  downloads INTEGER DEFAULT 0,
-  max_downloads INTEGER DEFAULT 5,
-  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-);
-
--- Add conversion tracking columns to file_uploads
-ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS conversion_started_at TIMESTAMP WITH TIME ZONE;
-ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS conversion_completed_at TIMESTAMP WITH TIME ZONE;
-ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS conversion_progress INTEGER DEFAULT 0;
-ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS conversion_message TEXT;
-ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS output_path TEXT;
-ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS output_filename TEXT;
-ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS output_format TEXT;
-ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS output_size BIGINT;
-ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS conversion_options JSONB;
-ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS error_message TEXT;
-
--- Indexes
-CREATE INDEX idx_download_tokens_token ON download_tokens(token);
-CREATE INDEX idx_download_tokens_expires ON download_tokens(expires_at);
-CREATE INDEX idx_file_uploads_status ON file_uploads(status);
-```
-
-## Frontend Usage Example:
-
-```javascript
-// Convert file with progress tracking
-async function convertFile(fileId, targetFormat, options = {}) {
-  try {
-    // Start conversion
-    const response = await fetch('/api/convert', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        fileId,
-        targetFormat,
-        options
-      })
-    });
-    
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.error);
-    }
-    
-    const result = await response.json();
-    console.log('Conversion completed:', result);
-    
-    return result;
-  } catch (error) {
-    console.error('Conversion failed:', error);
-    throw error;
-  }
-}
 
-// Track conversion progress
-async function trackProgress(fileId, onProgress) {
-  const pollInterval = setInterval(async () => {
-    try {
-      const response = await fetch(`/api/convert/progress/${fileId}`);
-      const progress = await response.json();
-      
-      onProgress(progress);
-      
-      if (progress.status === 'completed' || progress.status === 'failed') {
-        clearInterval(pollInterval);
-      }
-    } catch (error) {
-      console.error('Progress tracking failed:', error);
-      clearInterval(pollInterval);
-    }
-  }, 1000);
-  
-  return pollInterval;
-}
-```
-
-This conversion API provides:
-- âœ… **Real-time progress tracking** (Database-backed progress updates)
-- âœ… **Secure file handling** (Access control and validation)
-- âœ… **Error management** (Comprehensive error handling and recovery)
-- âœ… **Download tokens** (Secure, expiring download links)
-- âœ… **Cleanup system** (Automatic cleanup of temporary files)
-- âœ… **Conversion options** (Quality, size, and format parameters)
-- âœ… **Status tracking** (Complete conversion lifecycle management)
+export default router;
+
+/*
+ * Additional Database Tables:
+ *
+ * -- Download tokens table
+ * CREATE TABLE download_tokens (
+ *   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+ *   token TEXT UNIQUE NOT NULL,
+ *   file_id UUID REFERENCES file_uploads(id) ON DELETE CASCADE,
+ *   file_path TEXT NOT NULL, -- storage key
+ *   downloads INTEGER DEFAULT 0,
+ *   max_downloads INTEGER DEFAULT 5,
+ *   expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+ *   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+ * );
+ *
+ * -- Add conversion tracking columns to file_uploads
+ * ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS conversion_started_at TIMESTAMP WITH TIME ZONE;
+ * ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS conversion_completed_at TIMESTAMP WITH TIME ZONE;
+ * ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS conversion_progress INTEGER DEFAULT 0;
+ * ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS conversion_message TEXT;
+ * ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS output_path TEXT; -- storage key
+ * ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS output_filename TEXT;
+ * ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS output_format TEXT;
+ * ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS output_size BIGINT;
+ * ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS conversion_options JSONB;
+ * ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS error_message TEXT;
+ *
+ * -- Indexes
+ * CREATE INDEX idx_download_tokens_token ON download_tokens(token);
+ * CREATE INDEX idx_download_tokens_expires ON download_tokens(expires_at);
+ * CREATE INDEX idx_file_uploads_status ON file_uploads(status);
+ */
@@ -1,176 +1,393 @@
-# Secure Download API for Convert Pro
-
-```javascript
-// app/api/download/[token]/route.js
-
-import { NextRequest, NextResponse } from 'next/server';
-import { createClientComponentClient } from '@supabase/auth-helpers-nextjs';
-import fs from 'fs/promises';
+import express from 'express';
 import path from 'path';
-import { createReadStream } from 'fs';
+import { supabase } from '../../lib/supabase.js';
+import { isStreamManifest } from '../../lib/converters.js/adaptive-stream.js';
+import {
+  storage,
+  removeStored,
+  PRESIGNED_DOWNLOADS,
+  PRESIGNED_URL_EXPIRY
+} from '../../lib/storage.js/file-storage.js';
+import { cleanupExpiredPreviews, removePreviews } from '../../lib/previews.js';
+
+const router = express.Router();
 
 /**
- * GET /api/download/[token]
- * Secure file download using temporary tokens
+ * POST /api/download/cleanup
+ * Clean up expired tokens and files (cron job endpoint)
  */
-export async function GET(request, { params }) {
+router.post('/cleanup', async (req, res) => {
   try {
-    const { token } = params;
-    
-    if (!token) {
-      return NextResponse.json(
-        { error: 'Download token required' },
-        { status: 400 }
-      );
+    // Verify cron authorization
+    const authHeader = req.headers.authorization;
+    const expectedAuth = `Bearer ${process.env.CRON_SECRET}`;
+
+    if (!process.env.CRON_SECRET || authHeader !== expectedAuth) {
+      return res.status(401).json({ error: 'Unauthorized' });
     }
-    
-    const supabase = createClientComponentClient();
-    
-    // Verify download token
-    const { data: downloadToken, error: tokenError } = await supabase
+
+    // Get expired tokens
+    const { data: expiredTokens, error } = await supabase
       .from('download_tokens')
-      .select(`
-        *,
-        file_uploads (
-          original_name,
-          output_format,
-          user_id,
-          status
-        )
-      `)
-      .eq('token', token)
-      .single();
-      
-    if (tokenError || !downloadToken) {
-      return NextResponse.json(
-        { error: 'Invalid or expired download token' },
-        { status: 404 }
-      );
+      .select('file_path')
+      .lt('expires_at', new Date().toISOString());
+
+    if (error) {
+      throw error;
     }
-    
-    // Check if token is expired
-    const now = new Date();
-    const expiresAt = new Date(downloadToken.expires_at);
-    
-    if (now > expiresAt) {
-      // Clean up expired token
-      await supabase
+
+    let deletedFiles = 0;
+    let deletedTokens = 0;
+
+    if (expiredTokens && expiredTokens.length > 0) {
+      // Delete expired files
+      for (const tokenData of expiredTokens) {
+        try {
+          await removeStored(tokenData.file_path);
+          deletedFiles++;
+        } catch (fileError) {
+          console.error('Failed to delete file:', tokenData.file_path, fileError);
+        }
+      }
+
+      // Delete expired tokens from database
+      const { error: deleteError } = await supabase
         .from('download_tokens')
         .delete()
-        .eq('token', token);
-        
-      return NextResponse.json(
-        { error: 'Download token has expired' },
-        { status: 410 }
-      );
+        .lt('expires_at', new Date().toISOString());
+
+      if (!deleteError) {
+        deletedTokens = expiredTokens.length;
+      }
+    }
+
+    const deletedPreviews = await cleanupExpiredPreviews();
+
+    // Also clean up old upload files (older than 24 hours)
+    const oneDayAgo = new Date();
+    oneDayAgo.setHours(oneDayAgo.getHours() - 24);
+
+    const { data: oldUploads } = await supabase
+      .from('file_uploads')
+      .select('id, temp_path, output_path')
+      .lt('uploaded_at', oneDayAgo.toISOString())
+      .in('status', ['completed', 'failed']);
+
+    let deletedUploads = 0;
+
+    if (oldUploads) {
+      for (const upload of oldUploads) {
+        try {
+          // Delete uploaded file
+          if (upload.temp_path) {
+            await removeStored(upload.temp_path);
+          }
+          // Delete output file
+          if (upload.output_path) {
+            await removeStored(upload.output_path);
+          }
+          await removePreviews(upload.id);
+          deletedUploads++;
+        } catch (fileError) {
+          console.error('Failed to delete old upload:', fileError);
+        }
+      }
+
+      // Update database records
+      await supabase
+        .from('file_uploads')
+        .update({
+          temp_path: null,
+          output_path: null,
+          status: 'cleaned'
+        })
+        .lt('uploaded_at', oneDayAgo.toISOString())
+        .in('status', ['completed', 'failed']);
+    }
+
+    res.json({
+      success: true,
+      cleanup_stats: {
+        expired_tokens_deleted: deletedTokens,
+        expired_files_deleted: deletedFiles,
+        expired_previews_deleted: deletedPreviews,
+        old_uploads_cleaned: deletedUploads
+      }
+    });
+
+  } catch (error) {
+    console.error('Cleanup error:', error);
+    res.status(500).json({ error: 'Cleanup failed' });
+  }
+});
+
+/**
+ * GET /api/download/:token
+ * Secure file download using temporary tokens
+ */
+router.get('/:token', async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Download token required' });
+    }
+
+    const { downloadToken, status, error } = await getActiveToken(token);
+
+    if (!downloadToken) {
+      return res.status(status).json({ error });
     }
-    
+
     // Check download limits
     if (downloadToken.downloads >= downloadToken.max_downloads) {
-      return NextResponse.json(
-        { error: 'Download limit exceeded' },
-        { status: 429 }
-      );
+      return res.status(429).json({ error: 'Download limit exceeded' });
     }
-    
+
     // Check if file exists
     const filePath = downloadToken.file_path;
-    
-    try {
-      await fs.access(filePath);
-    } catch {
+    const stats = await storage.stat(filePath);
+
+    if (!stats) {
       // File doesn't exist, clean up token
       await supabase
         .from('download_tokens')
         .delete()
         .eq('token', token);
-        
-      return NextResponse.json(
-        { error: 'File no longer available' },
-        { status: 404 }
-      );
+
+      return res.status(404).json({ error: 'File no longer available' });
+    }
+
+    // Streams are played from their own URL, so relative segment paths resolve under the token
+    if (isStreamManifest(filePath)) {
+      return res.redirect(`${req.baseUrl}/${token}/${path.basename(filePath)}`);
     }
-    
-    // Get file stats
-    const stats = await fs.stat(filePath);
+
     const fileSize = stats.size;
-    
-    // Determine filename for download
-    const originalName = downloadToken.file_uploads?.original_name || 'converted_file';
-    const outputFormat = downloadToken.file_uploads?.output_format || 'bin';
+
+    // Determine filename for download (batch bundles are named after the batch)
+    const batch = downloadToken.conversion_batches;
+    const originalName = batch
+      ? `converted_${batch.target_format}_${downloadToken.batch_id.slice(0, 8)}`
+      : downloadToken.file_uploads?.original_name || 'converted_file';
+    const outputFormat = batch ? 'zip' : downloadToken.file_uploads?.output_format || 'bin';
     const downloadFilename = generateDownloadFilename(originalName, outputFormat);
-    
+
     // Update download count
     await supabase
       .from('download_tokens')
-      .update({ 
+      .update({
         downloads: downloadToken.downloads + 1,
         last_downloaded_at: new Date().toISOString()
       })
       .eq('token', token);
-    
+
+    // Let the client fetch straight from the bucket when the backend can sign URLs
+    if (PRESIGNED_DOWNLOADS) {
+      const signedUrl = await storage.getSignedUrl(filePath, {
+        expiresIn: PRESIGNED_URL_EXPIRY,
+        fileName: downloadFilename
+      });
+
+      if (signedUrl) {
+        res.set('Cache-Control', 'no-store');
+        return res.redirect(302, signedUrl);
+      }
+    }
+
     // Handle range requests for large files
-    const range = request.headers.get('range');
-    
+    const range = req.headers.range;
+
     if (range) {
-      return handleRangeRequest(filePath, range, fileSize, downloadFilename);
+      return await handleRangeRequest(res, filePath, range, fileSize, downloadFilename);
     }
-    
-    // Read file and stream response
-    const fileBuffer = await fs.readFile(filePath);
-    
-    // Set appropriate headers
-    const headers = new Headers({
+
+    // Set appropriate headers and stream the file
+    res.set({
       'Content-Type': getMimeType(outputFormat),
       'Content-Length': fileSize.toString(),
       'Content-Disposition': `attachment; filename="${downloadFilename}"`,
+      'Accept-Ranges': 'bytes',
       'Cache-Control': 'no-cache, no-store, must-revalidate',
       'Pragma': 'no-cache',
       'Expires': '0'
     });
-    
-    return new NextResponse(fileBuffer, {
-      status: 200,
-      headers
-    });
-    
+
+    await streamFile(res, filePath);
+
   } catch (error) {
     console.error('Download error:', error);
-    return NextResponse.json(
-      { error: 'Download failed' },
-      { status: 500 }
-    );
+    res.status(500).json({ error: 'Download failed' });
   }
+});
+
+/**
+ * GET /api/download/:token/:file
+ * Playlists and segments of an HLS/DASH stream packaged as a directory
+ * Only fetching the manifest counts as a download.
+ */
+router.get('/:token/*', async (req, res) => {
+  try {
+    const { token } = req.params;
+    const { downloadToken, status, error } = await getActiveToken(token);
+
+    if (!downloadToken) {
+      return res.status(status).json({ error });
+    }
+
+    if (!isStreamManifest(downloadToken.file_path)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    // Serve only files inside the stream's own directory
+    const requested = path.posix.normalize(req.params[0]);
+
+    if (requested === '..' || requested.startsWith('../') || path.posix.isAbsolute(requested)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const filePath = `${path.posix.dirname(downloadToken.file_path)}/${requested}`;
+    const stats = await storage.stat(filePath);
+
+    if (!stats) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (filePath === downloadToken.file_path) {
+      if (downloadToken.downloads >= downloadToken.max_downloads) {
+        return res.status(429).json({ error: 'Download limit exceeded' });
+      }
+
+      await supabase
+        .from('download_tokens')
+        .update({
+          downloads: downloadToken.downloads + 1,
+          last_downloaded_at: new Date().toISOString()
+        })
+        .eq('token', token);
+    }
+
+    res.set({
+      'Content-Type': getMimeType(path.extname(filePath).slice(1)),
+      'Content-Length': stats.size.toString(),
+      'Cache-Control': 'private, max-age=3600'
+    });
+
+    await streamFile(res, filePath);
+
+  } catch (error) {
+    console.error('Stream download error:', error);
+    res.status(500).json({ error: 'Download failed' });
+  }
+});
+
+/**
+ * POST /api/download/:token - Update download preferences
+ */
+router.post('/:token', async (req, res) => {
+  try {
+    const { token } = req.params;
+    const { filename } = req.body || {};
+
+    if (!token) {
+      return res.status(400).json({ error: 'Download token required' });
+    }
+
+    // Update token with custom filename
+    const { error } = await supabase
+      .from('download_tokens')
+      .update({ custom_filename: filename })
+      .eq('token', token);
+
+    if (error) {
+      return res.status(500).json({ error: 'Failed to update download preferences' });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update preferences' });
+  }
+});
+
+/**
+ * Look up a download token, removing it once expired
+ * @returns {Promise<Object>} { downloadToken } or { status, error } to respond with
+ */
+async function getActiveToken(token) {
+  const { data: downloadToken, error: tokenError } = await supabase
+    .from('download_tokens')
+    .select(`
+      *,
+      file_uploads (
+        original_name,
+        output_format,
+        user_id,
+        status
+      ),
+      conversion_batches (
+        target_format
+      )
+    `)
+    .eq('token', token)
+    .single();
+
+  if (tokenError || !downloadToken) {
+    return { status: 404, error: 'Invalid or expired download token' };
+  }
+
+  // Check if token is expired
+  if (new Date() > new Date(downloadToken.expires_at)) {
+    // Clean up expired token
+    await supabase
+      .from('download_tokens')
+      .delete()
+      .eq('token', token);
+
+    return { status: 410, error: 'Download token has expired' };
+  }
+
+  return { downloadToken };
 }
 
 /**
  * Handle range requests for large file downloads
  */
-async function handleRangeRequest(filePath, rangeHeader, fileSize, filename) {
+async function handleRangeRequest(res, filePath, rangeHeader, fileSize, filename) {
   const parts = rangeHeader.replace(/bytes=/, "").split("-");
   const start = parseInt(parts[0], 10);
-  const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
+  const end = parts[1] ? Math.min(parseInt(parts[1], 10), fileSize - 1) : fileSize - 1;
+
+  if (isNaN(start) || start > end || start >= fileSize) {
+    res.set('Content-Range', `bytes */${fileSize}`);
+    return res.status(416).end();
+  }
+
   const chunkSize = (end - start) + 1;
-  
-  // Read file chunk
-  const fileHandle = await fs.open(filePath, 'r');
-  const buffer = Buffer.alloc(chunkSize);
-  
-  await fileHandle.read(buffer, 0, chunkSize, start);
-  await fileHandle.close();
-  
-  const headers = new Headers({
+
+  res.status(206).set({ // Partial Content
     'Content-Range': `bytes ${start}-${end}/${fileSize}`,
     'Accept-Ranges': 'bytes',
     'Content-Length': chunkSize.toString(),
     'Content-Type': getMimeType(path.extname(filePath).slice(1)),
     'Content-Disposition': `attachment; filename="${filename}"`
   });
-  
-  return new NextResponse(buffer, {
-    status: 206, // Partial Content
-    headers
+
+  await streamFile(res, filePath, { start, end });
+}
+
+/**
+ * Pipe a stored file (or byte range) to the response
+ */
+async function streamFile(res, key, range = {}) {
+  const stream = await storage.read(key, range);
+
+  stream.on('error', (error) => {
+    console.error('Stream error:', error);
+    res.destroy(error);
   });
+
+  stream.pipe(res);
 }
 
 /**
@@ -179,10 +396,10 @@ async function handleRangeRequest(filePath, rangeHeader, fileSize, filename) {
 function generateDownloadFilename(originalName, outputFormat) {
   // Remove original extension
   const baseName = originalName.replace(/\.[^/.]+$/, "");
-  
+
   // Clean filename (remove special characters)
   const cleanBaseName = baseName.replace(/[^\w\s-]/g, '').trim();
-  
+
   return `${cleanBaseName}.${outputFormat}`;
 }
 
@@ -200,7 +417,7 @@ function getMimeType(format) {
     'svg': 'image/svg+xml',
     'bmp': 'image/bmp',
     'tiff': 'image/tiff',
-    
+
     // Videos
     'mp4': 'video/mp4',
     'avi': 'video/x-msvideo',
@@ -209,7 +426,7 @@ function getMimeType(format) {
     'webm': 'video/webm',
     'flv': 'video/x-flv',
     '3gp': 'video/3gpp',
-    
+
     // Audio
     'mp3': 'audio/mpeg',
     'wav': 'audio/wav',
@@ -218,7 +435,7 @@ function getMimeType(format) {
     'aac': 'audio/aac',
     'ogg': 'audio/ogg',
     'wma': 'audio/x-ms-wma',
-    
+
     // Documents
     'pdf': 'application/pdf',
     'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
@@ -226,252 +443,22 @@ function getMimeType(format) {
     'txt': 'text/plain',
     'rtf': 'application/rtf',
     'odt': 'application/vnd.oasis.opendocument.text',
-    
+
     // Archives
     'zip': 'application/zip',
     'rar': 'application/x-rar-compressed',
     '7z': 'application/x-7z-compressed',
     'tar': 'application/x-tar',
-    'gz': 'application/gzip'
+    'gz': 'application/gzip',
+
+    // Streaming
+    'm3u8': 'application/vnd.apple.mpegurl',
+    'mpd': 'application/dash+xml',
+    'ts': 'video/mp2t',
+    'm4s': 'video/iso.segment'
   };
-  
-  return mimeTypes[format.toLowerCase()] || 'application/octet-stream';
-}
 
-/**
- * POST /api/download/[token] - Update download preferences
- */
-export async function POST(request, { params }) {
-  try {
-    const { token } = params;
-    const { filename } = await request.json();
-    
-    if (!token) {
-      return NextResponse.json(
-        { error: 'Download token required' },
-        { status: 400 }
-      );
-    }
-    
-    const supabase = createClientComponentClient();
-    
-    // Update token with custom filename
-    const { error } = await supabase
-      .from('download_tokens')
-      .update({ custom_filename: filename })
-      .eq('token', token);
-    
-    if (error) {
-      return NextResponse.json(
-        { error: 'Failed to update download preferences' },
-        { status: 500 }
-      );
-    }
-    
-    return NextResponse.json({ success: true });
-    
-  } catch (error) {
-    return NextResponse.json(
-      { error: 'Failed to update preferences' },
-      { status: 500 }
-    );
-  }
+  return mimeTypes[format.toLowerCase()] || 'application/octet-stream';
 }
-```
-
-## Download Token Management API:
 
-```javascript
-// app/api/download/cleanup/route.js
-
-import { NextResponse } from 'next/server';
-import { createClientComponentClient } from '@supabase/auth-helpers-nextjs';
-import fs from 'fs/promises';
-
-/**
- * POST /api/download/cleanup
- * Clean up expired tokens and files (cron job endpoint)
- */
-export async function POST(request) {
-  try {
-    // Verify cron authorization
-    const authHeader = request.headers.get('authorization');
-    const expectedAuth = `Bearer ${process.env.CRON_SECRET}`;
-    
-    if (authHeader !== expectedAuth) {
-      return NextResponse.json(
-        { error: 'Unauthorized' },
-        { status: 401 }
-      );
-    }
-    
-    const supabase = createClientComponentClient();
-    
-    // Get expired tokens
-    const { data: expiredTokens, error } = await supabase
-      .from('download_tokens')
-      .select('file_path')
-      .lt('expires_at', new Date().toISOString());
-    
-    if (error) {
-      throw error;
-    }
-    
-    let deletedFiles = 0;
-    let deletedTokens = 0;
-    
-    if (expiredTokens && expiredTokens.length > 0) {
-      // Delete expired files
-      for (const tokenData of expiredTokens) {
-        try {
-          await fs.unlink(tokenData.file_path);
-          deletedFiles++;
-        } catch (fileError) {
-          console.error('Failed to delete file:', tokenData.file_path, fileError);
-        }
-      }
-      
-      // Delete expired tokens from database
-      const { error: deleteError } = await supabase
-        .from('download_tokens')
-        .delete()
-        .lt('expires_at', new Date().toISOString());
-      
-      if (!deleteError) {
-        deletedTokens = expiredTokens.length;
-      }
-    }
-    
-    // Also clean up old upload files (older than 24 hours)
-    const oneDayAgo = new Date();
-    oneDayAgo.setHours(oneDayAgo.getHours() - 24);
-    
-    const { data: oldUploads } = await supabase
-      .from('file_uploads')
-      .select('temp_path, output_path')
-      .lt('uploaded_at', oneDayAgo.toISOString())
-      .in('status', ['completed', 'failed']);
-    
-    let deletedUploads = 0;
-    
-    if (oldUploads) {
-      for (const upload of oldUploads) {
-        try {
-          // Delete temp file
-          if (upload.temp_path) {
-            await fs.unlink(upload.temp_path);
-          }
-          // Delete output file
-          if (upload.output_path) {
-            await fs.unlink(upload.output_path);
-          }
-          deletedUploads++;
-        } catch (fileError) {
-          console.error('Failed to delete old upload:', fileError);
-        }
-      }
-      
-      // Update database records
-      await supabase
-        .from('file_uploads')
-        .update({ 
-          temp_path: null,
-          output_path: null,
-          status: 'cleaned'
-        })
-        .lt('uploaded_at', oneDayAgo.toISOString())
-        .in('status', ['completed', 'failed']);
-    }
-    
-    return NextResponse.json({
-      success: true,
-      cleanup_stats: {
-        expired_tokens_deleted: deletedTokens,
-        expired_files_deleted: deletedFiles,
-        old_uploads_cleaned: deletedUploads
-      }
-    });
-    
-  } catch (error) {
-    console.error('Cleanup error:', error);
-    return NextResponse.json(
-      { error: 'Cleanup failed' },
-      { status: 500 }
-    );
-  }
-}
-```
-
-## Environment Variables (add to .env.local):
-
-```bash
-# Add to your .env.local
-CRON_SECRET=your-secure-cron-secret-key-here
-```
-
-## Frontend Download Component:
-
-```jsx
-// components/DownloadButton.jsx
-
-"use client";
-
-import { useState } from 'react';
-import { Download, ExternalLink } from 'lucide-react';
-import { motion } from 'framer-motion';
-
-const DownloadButton = ({ downloadUrl, filename, fileInfo }) => {
-  const [downloading, setDownloading] = useState(false);
-  
-  const handleDownload = async () => {
-    setDownloading(true);
-    
-    try {
-      // Trigger download
-      const link = document.createElement('a');
-      link.href = downloadUrl;
-      link.download = filename;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      
-      // Track download analytics
-      if (typeof gtag !== 'undefined') {
-        gtag('event', 'file_download', {
-          file_type: fileInfo?.outputFormat,
-          file_size: fileInfo?.outputSize
-        });
-      }
-      
-    } catch (error) {
-      console.error('Download failed:', error);
-    } finally {
-      setDownloading(false);
-    }
-  };
-  
-  return (
-    <motion.button
-      onClick={handleDownload}
-      disabled={downloading}
-      className="inline-flex items-center gap-2 px-4 py-2 bg-green-600 text-white font-medium rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-      whileHover={{ scale: 1.05 }}
-      whileTap={{ scale: 0.95 }}
-    >
-      <Download className="h-4 w-4" />
-      {downloading ? 'Downloading...' : 'Download'}
-    </motion.button>
-  );
-};
-
-export default DownloadButton;
-```
-
-This download system provides:
-- âœ… **Secure Downloads** (Token-based access control)
-- âœ… **Range Requests** (Support for large file streaming)
-- âœ… **Download Limits** (Configurable download limits per token)
-- âœ… **Automatic Cleanup** (Scheduled cleanup of expired files)
-- âœ… **Custom Filenames** (User-friendly download filenames)
-- âœ… **MIME Type Detection** (Proper content-type headers)
-- âœ… **Error Handling** (Comprehensive error management)
+export default router;
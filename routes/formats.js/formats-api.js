@@ -0,0 +1,38 @@
+import express from 'express';
+import { describeConversion, getFormatCatalog } from '../../lib/converters.js/conversion-engine.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/formats
+ * Everything the server can convert, derived from the converter registry:
+ * formats by category, outputs per input format, and each converter's option schema
+ */
+router.get('/', (req, res) => {
+  res.json(getFormatCatalog());
+});
+
+/**
+ * GET /api/formats/:format
+ * Outputs available for one input format, with the path each conversion takes
+ * (chained conversions list their intermediate formats) and the options it accepts
+ */
+router.get('/:format', (req, res) => {
+  const format = req.params.format.toLowerCase();
+  const entry = getFormatCatalog().formats[format];
+
+  if (!entry) {
+    return res.status(404).json({ error: `Unsupported file format: ${format}` });
+  }
+
+  res.json({
+    format,
+    category: entry.category,
+    outputs: entry.outputs.map((output) => ({
+      format: output,
+      ...describeConversion(format, output)
+    }))
+  });
+});
+
+export default router;
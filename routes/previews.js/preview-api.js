@@ -0,0 +1,77 @@
+import express from 'express';
+import path from 'path';
+import { supabase } from '../../lib/supabase.js';
+import { storage } from '../../lib/storage.js/file-storage.js';
+
+const router = express.Router();
+
+// Longest time a browser may reuse a preview without asking again
+const MAX_CACHE_AGE = 60 * 60; // 1 hour
+
+const PREVIEW_MIME_TYPES = {
+  'webp': 'image/webp',
+  'jpg': 'image/jpeg',
+  'png': 'image/png'
+};
+
+/**
+ * GET /api/previews/:token
+ * Serve a thumbnail, poster, sprite sheet, waveform or page preview
+ */
+router.get('/:token', async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    const { data: previewToken, error: tokenError } = await supabase
+      .from('preview_tokens')
+      .select('file_path, expires_at')
+      .eq('token', token)
+      .single();
+
+    if (tokenError || !previewToken) {
+      return res.status(404).json({ error: 'Invalid or expired preview token' });
+    }
+
+    const secondsLeft = Math.floor((new Date(previewToken.expires_at) - Date.now()) / 1000);
+
+    if (secondsLeft <= 0) {
+      // Clean up expired token
+      await supabase
+        .from('preview_tokens')
+        .delete()
+        .eq('token', token);
+
+      return res.status(410).json({ error: 'Preview token has expired' });
+    }
+
+    const stats = await storage.stat(previewToken.file_path);
+    if (!stats) {
+      return res.status(404).json({ error: 'Preview no longer available' });
+    }
+
+    const extension = path.extname(previewToken.file_path).slice(1).toLowerCase();
+
+    res.set({
+      'Content-Type': PREVIEW_MIME_TYPES[extension] || 'application/octet-stream',
+      'Content-Length': stats.size.toString(),
+      'Content-Disposition': 'inline',
+      'Cache-Control': `private, max-age=${Math.min(secondsLeft, MAX_CACHE_AGE)}`,
+      'X-Content-Type-Options': 'nosniff'
+    });
+
+    const stream = await storage.read(previewToken.file_path);
+
+    stream.on('error', (error) => {
+      console.error('Preview stream error:', error);
+      res.destroy(error);
+    });
+
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('Preview error:', error);
+    res.status(500).json({ error: 'Failed to load preview' });
+  }
+});
+
+export default router;
@@ -0,0 +1,576 @@
+import express from 'express';
+import cors from 'cors';
+import path from 'path';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { createReadStream, createWriteStream } from 'fs';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import {
+  validateFileHeader,
+  validateFileContent,
+  SIZE_LIMITS,
+  FILE_HEADER_SIZE
+} from '../../middleware/fileValidation.js';
+import { getRequestUser } from '../../lib/supabase.js';
+import { probeFile } from '../../lib/converters.js/media-probe.js';
+import {
+  UPLOAD_DIR,
+  ensureUploadDir,
+  saveFileRecord,
+  saveUploadPreviews,
+  screenUpload,
+  storeUpload,
+  checkDailyUsage,
+  updateUsageTracking
+} from './upload-api.js';
+
+const router = express.Router();
+
+// tus 1.0 protocol configuration
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = 'creation,termination,expiration';
+const TUS_MAX_SIZE = SIZE_LIMITS.pro.max;
+
+// Headers browsers must be allowed to read from tus responses
+const TUS_EXPOSED_HEADERS = [
+  'Location',
+  'Tus-Resumable',
+  'Tus-Version',
+  'Tus-Extension',
+  'Tus-Max-Size',
+  'Upload-Offset',
+  'Upload-Length',
+  'Upload-Metadata',
+  'Upload-Expires',
+  'Upload-File-Id'
+];
+
+// Partial uploads live here until assembly completes. Unlike finished uploads they
+// stay on local disk whatever STORAGE_BACKEND is, and PATCH locks are held in memory,
+// so with several instances every request for an upload must reach the same one
+// (route /api/upload/tus/:uploadId with sticky sessions or by hashing the id).
+const TUS_DIR = path.join(process.cwd(), 'temp', 'tus');
+
+// Incomplete uploads expire after 24 hours without activity
+const UPLOAD_EXPIRY = 24 * 60 * 60 * 1000;
+
+// Running sha256 of each upload in progress: id -> { hash, offset }
+const hashes = new Map();
+
+// Uploads currently receiving a PATCH request
+const locks = new Set();
+
+// OPTIONS is part of the tus protocol, so answer it here instead of in the global CORS handler
+router.use(cors({ exposedHeaders: TUS_EXPOSED_HEADERS, preflightContinue: true }));
+
+// Every tus response carries the protocol version; every request must declare it
+router.use((req, res, next) => {
+  res.set('Tus-Resumable', TUS_VERSION);
+
+  if (req.method !== 'OPTIONS' && req.headers['tus-resumable'] !== TUS_VERSION) {
+    res.set('Tus-Version', TUS_VERSION);
+    return res.status(412).json({ error: `Unsupported tus version, use ${TUS_VERSION}` });
+  }
+
+  next();
+});
+
+/**
+ * OPTIONS /api/upload/tus
+ * Advertise server capabilities
+ */
+router.options(['/', '/:uploadId'], (req, res) => {
+  res.set({
+    'Tus-Version': TUS_VERSION,
+    'Tus-Extension': TUS_EXTENSIONS,
+    'Tus-Max-Size': TUS_MAX_SIZE.toString()
+  });
+  res.status(204).end();
+});
+
+/**
+ * POST /api/upload/tus
+ * Create a resumable upload (tus creation extension)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const uploadLength = Number(req.headers['upload-length']);
+
+    if (!req.headers['upload-length'] || !Number.isSafeInteger(uploadLength) || uploadLength < 0) {
+      return res.status(400).json({ error: 'Upload-Length header is required' });
+    }
+
+    if (uploadLength > TUS_MAX_SIZE) {
+      return res.status(413).json({ error: 'File exceeds maximum upload size' });
+    }
+
+    const metadata = parseMetadata(req.headers['upload-metadata']);
+    const filename = metadata.filename || metadata.name;
+
+    if (!filename) {
+      return res.status(400).json({ error: 'Upload-Metadata must include a filename' });
+    }
+
+    // Get user authentication status
+    const user = await getRequestUser(req);
+    const userPlan = user?.user_metadata?.plan || 'free';
+
+    // Reject unsupported formats and oversized files before any bytes are sent
+    const validation = await validateFileHeader(null, filename, uploadLength, userPlan);
+
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    // Check daily usage limits for free users
+    if (userPlan === 'free') {
+      const dailyUsage = await checkDailyUsage(user?.id);
+      if (dailyUsage >= 20) {
+        return res.status(429).json({
+          error: 'Daily limit reached. Upgrade to Pro for unlimited conversions.'
+        });
+      }
+    }
+
+    await fs.mkdir(TUS_DIR, { recursive: true });
+
+    const uploadId = crypto.randomUUID();
+    const upload = {
+      id: uploadId,
+      userId: user?.id || null,
+      userPlan,
+      filename,
+      size: uploadLength,
+      metadata: req.headers['upload-metadata'] || null,
+      validation: null,
+      fileId: null,
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + UPLOAD_EXPIRY).toISOString()
+    };
+
+    await fs.writeFile(partPath(uploadId), '');
+    await saveUpload(upload);
+
+    res.set({
+      'Location': `${req.baseUrl}/${uploadId}`,
+      'Upload-Expires': new Date(upload.expiresAt).toUTCString()
+    });
+    res.status(201).end();
+
+  } catch (error) {
+    console.error('tus create error:', error);
+    res.status(500).json({ error: 'Failed to create upload' });
+  }
+});
+
+/**
+ * HEAD /api/upload/tus/:uploadId
+ * Report the current offset so clients can resume
+ */
+router.head('/:uploadId', async (req, res) => {
+  try {
+    const upload = await loadActiveUpload(req, res);
+    if (!upload) return;
+
+    res.set({
+      'Upload-Offset': (await getOffset(upload)).toString(),
+      'Upload-Length': upload.size.toString(),
+      'Upload-Expires': new Date(upload.expiresAt).toUTCString(),
+      'Cache-Control': 'no-store'
+    });
+
+    if (upload.metadata) res.set('Upload-Metadata', upload.metadata);
+    if (upload.fileId) res.set('Upload-File-Id', upload.fileId);
+
+    res.status(200).end();
+
+  } catch (error) {
+    console.error('tus head error:', error);
+    res.status(500).end();
+  }
+});
+
+/**
+ * PATCH /api/upload/tus/:uploadId
+ * Append a chunk at the given offset
+ */
+router.patch('/:uploadId', async (req, res) => {
+  const { uploadId } = req.params;
+  let locked = false;
+
+  try {
+    const upload = await loadActiveUpload(req, res);
+    if (!upload) return;
+
+    if (req.headers['content-type'] !== 'application/offset+octet-stream') {
+      return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+    }
+
+    if (locks.has(uploadId)) {
+      return res.status(423).json({ error: 'Upload is already receiving data' });
+    }
+    locks.add(uploadId);
+    locked = true;
+
+    const offset = await getOffset(upload);
+    if (Number(req.headers['upload-offset']) !== offset) {
+      res.set('Upload-Offset', offset.toString());
+      return res.status(409).json({ error: 'Upload-Offset does not match current offset' });
+    }
+
+    if (upload.fileId) {
+      res.set({ 'Upload-Offset': offset.toString(), 'Upload-File-Id': upload.fileId });
+      return res.status(204).end();
+    }
+
+    // Reject a chunk that cannot fit before any of it is written
+    if (req.headers['content-length'] && offset + Number(req.headers['content-length']) > upload.size) {
+      res.set('Upload-Offset', offset.toString());
+      return res.status(400).json({ error: 'Chunk exceeds declared Upload-Length' });
+    }
+
+    // Stream the chunk to disk, hashing as it goes
+    const hashState = await restoreHash(uploadId, offset);
+    const chunkTransform = createChunkTransform(hashState, upload.size - offset);
+    let aborted = false;
+
+    try {
+      await pipeline(
+        req,
+        chunkTransform,
+        createWriteStream(partPath(uploadId), { flags: 'a' })
+      );
+    } catch {
+      aborted = true;
+    }
+
+    if (chunkTransform.exceeded) {
+      // Chunked bodies have no length up front; drop the part that was written
+      await fs.truncate(partPath(uploadId), offset);
+      hashes.delete(uploadId);
+      res.set('Upload-Offset', offset.toString());
+      return res.status(400).json({ error: 'Chunk exceeds declared Upload-Length' });
+    }
+
+    // Whatever reached the disk counts, even if the connection dropped
+    const newOffset = await getOffset(upload);
+    if (hashState.offset !== newOffset) {
+      hashes.delete(uploadId);
+    }
+
+    if (aborted) {
+      // Client went away; it will resume from the stored offset after a HEAD
+      return;
+    }
+
+    // Validate the type as soon as the header bytes are available
+    if (!upload.validation && (newOffset >= FILE_HEADER_SIZE || newOffset === upload.size)) {
+      const header = await readHeader(uploadId, Math.min(newOffset, FILE_HEADER_SIZE));
+      const validation = await validateFileHeader(header, upload.filename, upload.size, upload.userPlan);
+
+      if (!validation.valid) {
+        await removeUpload(uploadId);
+        return res.status(400).json({ error: validation.error });
+      }
+
+      upload.validation = validation;
+    }
+
+    upload.expiresAt = new Date(Date.now() + UPLOAD_EXPIRY).toISOString();
+
+    if (newOffset === upload.size) {
+      const { fileId, status, error } = await assembleUpload(upload, hashState);
+      if (!fileId) {
+        return res.status(status).json({ error });
+      }
+      res.set('Upload-File-Id', fileId);
+    } else {
+      await saveUpload(upload);
+    }
+
+    res.set({
+      'Upload-Offset': newOffset.toString(),
+      'Upload-Expires': new Date(upload.expiresAt).toUTCString()
+    });
+    res.status(204).end();
+
+  } catch (error) {
+    console.error('tus patch error:', error);
+    if (!res.headersSent) res.status(500).json({ error: 'Upload failed. Please try again.' });
+  } finally {
+    if (locked) locks.delete(uploadId);
+  }
+});
+
+/**
+ * DELETE /api/upload/tus/:uploadId
+ * Abort an upload (tus termination extension)
+ */
+router.delete('/:uploadId', async (req, res) => {
+  try {
+    const upload = await loadActiveUpload(req, res);
+    if (!upload) return;
+
+    if (locks.has(upload.id)) {
+      return res.status(423).json({ error: 'Upload is already receiving data' });
+    }
+
+    await removeUpload(upload.id);
+    res.status(204).end();
+
+  } catch (error) {
+    console.error('tus delete error:', error);
+    res.status(500).json({ error: 'Failed to delete upload' });
+  }
+});
+
+/**
+ * Helper Functions
+ */
+
+function partPath(uploadId) {
+  return path.join(TUS_DIR, `${uploadId}.part`);
+}
+
+function infoPath(uploadId) {
+  return path.join(TUS_DIR, `${uploadId}.json`);
+}
+
+// Parse "key base64,key2 base64" Upload-Metadata header
+function parseMetadata(header) {
+  const metadata = {};
+  if (!header) return metadata;
+
+  for (const pair of header.split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+  }
+
+  return metadata;
+}
+
+async function loadUpload(uploadId) {
+  if (!/^[0-9a-f-]{36}$/.test(uploadId)) return null;
+
+  try {
+    return JSON.parse(await fs.readFile(infoPath(uploadId), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Write upload state atomically so a crash never leaves half a file
+async function saveUpload(upload) {
+  const tmpPath = `${infoPath(upload.id)}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(upload));
+  await fs.rename(tmpPath, infoPath(upload.id));
+}
+
+async function removeUpload(uploadId) {
+  hashes.delete(uploadId);
+  await fs.unlink(partPath(uploadId)).catch(() => {});
+  await fs.unlink(infoPath(uploadId)).catch(() => {});
+}
+
+// Load an upload and check expiry and ownership, answering the request if it fails
+async function loadActiveUpload(req, res) {
+  const upload = await loadUpload(req.params.uploadId);
+
+  if (!upload) {
+    res.status(404).json({ error: 'Upload not found' });
+    return null;
+  }
+
+  if (!upload.fileId && new Date(upload.expiresAt) < new Date()) {
+    await removeUpload(upload.id);
+    res.status(410).json({ error: 'Upload has expired' });
+    return null;
+  }
+
+  if (upload.userId) {
+    const user = await getRequestUser(req);
+    if (user?.id !== upload.userId) {
+      res.status(403).json({ error: 'Access denied' });
+      return null;
+    }
+  }
+
+  return upload;
+}
+
+// The bytes on disk are the source of truth for the offset
+async function getOffset(upload) {
+  if (upload.fileId) return upload.size;
+
+  try {
+    const stats = await fs.stat(partPath(upload.id));
+    return stats.size;
+  } catch {
+    return 0;
+  }
+}
+
+// Reuse the in-memory hash, or rebuild it from disk after a restart
+async function restoreHash(uploadId, offset) {
+  const cached = hashes.get(uploadId);
+  if (cached && cached.offset === offset) return cached;
+
+  const hash = crypto.createHash('sha256');
+
+  if (offset > 0) {
+    for await (const chunk of createReadStream(partPath(uploadId), { end: offset - 1 })) {
+      hash.update(chunk);
+    }
+  }
+
+  const hashState = { hash, offset };
+  hashes.set(uploadId, hashState);
+  return hashState;
+}
+
+// Pass chunk bytes through, updating the hash; once data runs past Upload-Length,
+// the rest of the body is discarded and exceeded is set
+function createChunkTransform(hashState, remaining) {
+  const transform = new Transform({
+    transform(chunk, encoding, callback) {
+      if (transform.exceeded || chunk.length > remaining) {
+        transform.exceeded = true;
+        return callback();
+      }
+
+      remaining -= chunk.length;
+      hashState.hash.update(chunk);
+      hashState.offset += chunk.length;
+      callback(null, chunk);
+    }
+  });
+
+  transform.exceeded = false;
+  return transform;
+}
+
+async function readHeader(uploadId, length) {
+  const fileHandle = await fs.open(partPath(uploadId), 'r');
+
+  try {
+    const buffer = Buffer.alloc(length);
+    await fileHandle.read(buffer, 0, length, 0);
+    return buffer;
+  } finally {
+    await fileHandle.close();
+  }
+}
+
+// Move the finished upload into place, inspect, scan and probe it, and create its file_uploads row
+// Returns { fileId }, or { status, error } when the upload is rejected or cannot be saved
+async function assembleUpload(upload, hashState) {
+  const validation = {
+    ...upload.validation,
+    hash: hashState.hash.digest('hex')
+  };
+  hashes.delete(upload.id);
+
+  const fileId = crypto.randomUUID();
+  const tempFilePath = path.join(UPLOAD_DIR, validation.secureFileName);
+  await ensureUploadDir();
+  await fs.rename(partPath(upload.id), tempFilePath);
+
+  // Strict checks of the full content (polyglots, image dimensions, archive bombs)
+  const contentValidation = await validateFileContent(tempFilePath, validation);
+  if (!contentValidation.valid) {
+    await fs.unlink(tempFilePath).catch(console.error);
+    await removeUpload(upload.id);
+    return { status: 400, error: contentValidation.error };
+  }
+
+  // Scan for malware before anything else reads the file
+  const screening = await screenUpload({ fileId, userId: upload.userId, validation, tempFilePath });
+  if (screening.error) {
+    await removeUpload(upload.id);
+    return { status: screening.status, error: screening.error };
+  }
+
+  // Read media metadata; files that cannot be decoded are rejected here
+  let mediaInfo;
+  try {
+    mediaInfo = await probeFile(tempFilePath, validation.extension, validation.category);
+  } catch (probeError) {
+    await fs.unlink(tempFilePath).catch(console.error);
+    await removeUpload(upload.id);
+    return { status: 400, error: probeError.message };
+  }
+
+  const storageKey = `uploads/${validation.secureFileName}`;
+  const { error: dbError } = await saveFileRecord({
+    fileId,
+    userId: upload.userId,
+    validation,
+    storageKey,
+    mediaInfo,
+    scan: screening.scan
+  });
+
+  if (dbError) {
+    // Clean up temp file if database save fails
+    await fs.unlink(tempFilePath).catch(console.error);
+    await removeUpload(upload.id);
+    console.error('Database error:', dbError);
+    return { status: 500, error: 'Failed to save file metadata' };
+  }
+
+  const stored = await storeUpload(fileId, tempFilePath, storageKey);
+  if (stored.error) {
+    await removeUpload(upload.id);
+    return stored;
+  }
+
+  await saveUploadPreviews(fileId, storageKey, validation, mediaInfo);
+
+  // Update usage tracking
+  if (upload.userId) {
+    await updateUsageTracking(upload.userId, validation.size);
+  }
+
+  // Keep the state so HEAD can still report the fileId to the client
+  upload.fileId = fileId;
+  upload.completedAt = new Date().toISOString();
+  await saveUpload(upload);
+
+  return { fileId };
+}
+
+/**
+ * Remove expired partial uploads and stale completion records (call periodically)
+ */
+export async function cleanupExpiredUploads() {
+  let files;
+
+  try {
+    files = await fs.readdir(TUS_DIR);
+  } catch {
+    return;
+  }
+
+  const now = Date.now();
+
+  for (const file of files) {
+    if (!file.endsWith('.json')) continue;
+
+    const upload = await loadUpload(path.basename(file, '.json'));
+    if (!upload) continue;
+
+    const expiresAt = upload.fileId
+      ? new Date(upload.completedAt).getTime() + UPLOAD_EXPIRY
+      : new Date(upload.expiresAt).getTime();
+
+    if (now > expiresAt && !locks.has(upload.id)) {
+      await removeUpload(upload.id);
+      console.log(`Cleaned up expired upload: ${upload.id}`);
+    }
+  }
+}
+
+export default router;
@@ -0,0 +1,47 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import sharp from 'sharp';
+import { readAnimation, resizeAnimation, writeAnimation } from '../lib/converters.js/animated-image.js';
+import { resizeImage } from '../lib/converters.js/image-transform.js';
+
+// Three solid 60x40 frames, stacked the way sharp expects multi-page raw input
+async function createFrames() {
+  const frames = await Promise.all(['red', 'green', 'blue'].map((background) =>
+    sharp({ create: { width: 60, height: 40, channels: 4, background } }).raw().toBuffer()));
+
+  return sharp(Buffer.concat(frames), { raw: { width: 60, height: 120, channels: 4, pageHeight: 40 } });
+}
+
+test('resized APNG input keeps every frame', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'animated-image-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const apngPath = path.join(dir, 'input.png');
+  await writeAnimation(await createFrames(), 'png', apngPath, { pages: 3, delay: [100, 100, 100], loop: 0 });
+
+  const animation = await readAnimation(apngPath);
+  assert.equal(animation.pages, 3);
+
+  const resize = (image) => resizeImage(image, { width: 25 });
+
+  for (const format of ['gif', 'webp']) {
+    const outputPath = path.join(dir, `output.${format}`);
+    await writeAnimation(await resizeAnimation(animation, resize), format, outputPath, animation);
+
+    const metadata = await sharp(outputPath, { animated: true }).metadata();
+    assert.equal(metadata.pages, 3, format);
+    assert.equal(metadata.width, 25, format);
+    assert.equal(metadata.pageHeight, 17, format);
+  }
+
+  const outputPath = path.join(dir, 'output.png');
+  await writeAnimation(await resizeAnimation(animation, resize), 'png', outputPath, animation);
+
+  const output = await readAnimation(outputPath);
+  assert.equal(output.pages, 3);
+  assert.equal(output.inputOptions.raw.width, 25);
+  assert.equal(output.inputOptions.raw.pageHeight, 17);
+});
@@ -0,0 +1,91 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { planConversion, resolveConversionOptions, getSupportedOutputs, validateConversion } from '../lib/converters.js/conversion-engine.js';
+
+const planPath = (from, to) => {
+  const plan = planConversion(from, to);
+  return [plan[0].from, ...plan.map((step) => step.to)];
+};
+
+test('chained image conversions apply each transform once', () => {
+  assert.deepEqual(planPath('pdf', 'webp'), ['pdf', 'png', 'webp']);
+
+  const [render, encode] = resolveConversionOptions('pdf', 'webp', {
+    rotate: 90,
+    crop: '0,0,100,100',
+    blur: 2,
+    watermarkText: 'draft',
+    quality: 70
+  });
+
+  assert.equal(render.rotate, 0);
+  assert.equal(render.crop, undefined);
+  assert.equal(render.blur, undefined);
+  assert.equal(render.watermarkText, undefined);
+
+  assert.equal(encode.rotate, 90);
+  assert.equal(encode.crop, '0,0,100,100');
+  assert.equal(encode.blur, 2);
+  assert.equal(encode.watermarkText, 'draft');
+
+  // Repeatable options still reach every step
+  assert.equal(render.quality, 70);
+  assert.equal(encode.quality, 70);
+});
+
+test('single-step conversions keep their transforms', () => {
+  const [options] = resolveConversionOptions('png', 'jpg', { rotate: 180, flip: 'horizontal' });
+
+  assert.equal(options.rotate, 180);
+  assert.equal(options.flip, 'horizontal');
+});
+
+test('chained audio conversions trim, fade and normalize once', () => {
+  assert.deepEqual(planPath('mkv', 'ogg'), ['mkv', 'wav', 'ogg']);
+
+  const [extract, encode] = resolveConversionOptions('mkv', 'ogg', {
+    startTime: 30,
+    duration: 10,
+    fadeIn: 2,
+    fadeOut: 3,
+    normalize: true,
+    channels: 'mono'
+  });
+
+  assert.equal(extract.startTime, 0);
+  assert.equal(extract.duration, undefined);
+  assert.equal(extract.fadeIn, undefined);
+  assert.equal(extract.fadeOut, undefined);
+  assert.equal(extract.normalize, false);
+
+  assert.equal(encode.startTime, 30);
+  assert.equal(encode.duration, 10);
+  assert.equal(encode.fadeIn, 2);
+  assert.equal(encode.fadeOut, 3);
+  assert.equal(encode.normalize, true);
+
+  assert.equal(extract.channels, 'mono');
+  assert.equal(encode.channels, 'mono');
+});
+
+test('video is not converted to stills through an animated GIF', () => {
+  assert.deepEqual(planPath('mp4', 'gif'), ['mp4', 'gif']);
+
+  for (const still of ['jpg', 'png', 'webp', 'pdf', 'svg']) {
+    assert.equal(planConversion('mp4', still), null);
+  }
+
+  assert.ok(!getSupportedOutputs('mp4').includes('jpg'));
+});
+
+test('chains through a page renderer need a single page', () => {
+  assert.equal(validateConversion('pdf', 'webp', {}, { pageCount: 3 }).valid, false);
+  assert.equal(validateConversion('pdf', 'webp').valid, false);
+
+  assert.equal(validateConversion('pdf', 'webp', {}, { pageCount: 1 }).valid, true);
+  assert.equal(validateConversion('pdf', 'webp', { pages: '2' }, { pageCount: 3 }).valid, true);
+  assert.equal(validateConversion('pdf', 'webp', { pages: '2' }).valid, true);
+
+  // A ZIP of pages is fine when it is the final output
+  assert.equal(validateConversion('pdf', 'png', {}, { pageCount: 3 }).valid, true);
+});
@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { existsSync } from 'fs';
+
+// Working directories are resolved from the current directory when the routes load
+const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tus-upload-'));
+process.chdir(workDir);
+
+// Stand-in for Supabase: every insert echoes its row, everything else succeeds empty
+const supabase = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    res.setHeader('Content-Type', 'application/json');
+    const rows = body ? [].concat(JSON.parse(body)) : [];
+    const single = (req.headers.accept || '').includes('vnd.pgrst.object');
+    res.end(JSON.stringify(single ? rows[0] || {} : rows));
+  });
+});
+await new Promise((resolve) => supabase.listen(0, '127.0.0.1', resolve));
+
+process.env.SUPABASE_URL = `http://127.0.0.1:${supabase.address().port}`;
+process.env.SUPABASE_KEY = 'test';
+process.env.CLAMD_PORT = '1'; // Nothing listens there; scanning fails open
+process.env.VIRUS_SCAN_FAIL_MODE = 'open';
+
+const { default: express } = await import('express');
+const { default: tusRouter } = await import('../routes/upload.js/tus-upload-api.js');
+
+test('a tus upload completes on an instance without an upload directory', async (t) => {
+  const app = express();
+  app.use('/api/upload/tus', tusRouter);
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+
+  t.after(async () => {
+    server.close();
+    supabase.close();
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const content = Buffer.from('Plain text uploaded in one chunk.\n');
+
+  assert.equal(existsSync(path.join(workDir, 'temp', 'uploads')), false);
+
+  const created = await fetch(`${base}/api/upload/tus`, {
+    method: 'POST',
+    headers: {
+      'Tus-Resumable': '1.0.0',
+      'Upload-Length': String(content.length),
+      'Upload-Metadata': `filename ${Buffer.from('notes.txt').toString('base64')}`
+    }
+  });
+  assert.equal(created.status, 201);
+
+  const patched = await fetch(new URL(created.headers.get('location'), base), {
+    method: 'PATCH',
+    headers: {
+      'Tus-Resumable': '1.0.0',
+      'Upload-Offset': '0',
+      'Content-Type': 'application/offset+octet-stream'
+    },
+    body: content
+  });
+
+  assert.equal(patched.status, 204);
+  assert.equal(patched.headers.get('upload-offset'), String(content.length));
+  assert.ok(patched.headers.get('upload-file-id'));
+
+  const stored = await fs.readdir(path.join(workDir, 'temp', 'uploads'));
+  assert.equal(stored.length, 1);
+});
@@ -0,0 +1,51 @@
+import "dotenv/config"; // Load .env before any module reads its settings
+import cluster from "cluster";
+import { startWorker } from "./lib/conversion-worker.js";
+
+// Worker pool configuration
+const WORKER_PROCESSES = parseInt(process.env.WORKER_PROCESSES || "2", 10);
+const WORKER_CONCURRENCY = parseInt(process.env.WORKER_CONCURRENCY || "1", 10);
+const WORKER_POLL_INTERVAL = parseInt(process.env.WORKER_POLL_INTERVAL || "2000", 10);
+const JOB_STALE_AFTER = parseInt(process.env.JOB_STALE_AFTER || "120", 10);
+
+if (cluster.isPrimary) {
+  // ✅ Supervisor: keep the pool at the configured size
+  let shuttingDown = false;
+
+  for (let i = 0; i < WORKER_PROCESSES; i++) {
+    cluster.fork();
+  }
+
+  cluster.on("exit", (worker, code) => {
+    if (shuttingDown) return;
+    console.error(`Worker ${worker.process.pid} exited with code ${code}, restarting`);
+    cluster.fork();
+  });
+
+  const shutdown = () => {
+    shuttingDown = true;
+    for (const worker of Object.values(cluster.workers)) {
+      worker.process.kill("SIGTERM");
+    }
+  };
+
+  process.on("SIGTERM", shutdown);
+  process.on("SIGINT", shutdown);
+
+  console.log(`🚀 Conversion worker pool started (${WORKER_PROCESSES} processes)`);
+} else {
+  // ✅ Worker process: claim and run jobs
+  const worker = startWorker({
+    concurrency: WORKER_CONCURRENCY,
+    pollInterval: WORKER_POLL_INTERVAL,
+    staleAfter: JOB_STALE_AFTER,
+  });
+
+  const shutdown = async () => {
+    await worker.stop();
+    process.exit(0);
+  };
+
+  process.on("SIGTERM", shutdown);
+  process.on("SIGINT", shutdown);
+}